@@ -0,0 +1,18 @@
+#!/usr/bin/env node
+/**
+ * @fileoverview Prints the configuration reference generated from the config schema
+ *
+ * Usage: npm run config:reference > docs/setup/CONFIGURATION.md
+ */
+
+import { formatConfigReference } from '../src/config/schema.js';
+
+console.log(`# Configuration Reference
+
+<!-- Generated by \`npm run config:reference\` from src/config/schema.js, do not edit -->
+
+Set variables in \`wrangler.toml\` (\`[vars]\`) and secrets with \`wrangler secret put <NAME>\`.
+Invalid values keep their default, are logged at startup and reported by \`/health\`.
+Secrets are never logged.
+
+${formatConfigReference()}`);
@@ -0,0 +1,194 @@
+/**
+ * @fileoverview Container Registry - GTM / gtag containers served on demand, refreshed by the cron
+ * @module cache/container-registry
+ */
+
+import { CONFIG } from '../config/index.js';
+import { Logger } from '../core/logger.js';
+import { identifyScriptKey, isContainerSpecificKey } from './script-cache.js';
+
+const KV_PREFIX = 'script-registry:';
+// Containers without traffic for 30 days are no longer refreshed
+const REGISTRY_TTL = 2592000;
+// At most one store write per container, isolate and hour
+const REGISTER_INTERVAL_MS = 3600000;
+// Containers refreshed by the cron on behalf of traffic, new ones are ignored beyond this
+const MAX_REGISTERED_CONTAINERS = 100;
+// Query params of gtm.js / gtag/js kept in registered URLs (dataLayer name, environment)
+const CONTAINER_PARAMS = ['l', 'gtm_auth', 'gtm_preview', 'gtm_cookies_win'];
+const CONTAINER_PARAM_VALUE = /^[\w.-]{1,64}$/;
+
+/**
+ * @typedef {Object} ContainerEntry
+ * @property {string} url - Upstream script URL last served for this container
+ * @property {number} lastServedAt - Epoch ms
+ */
+
+/**
+ * Workers KV store: one key per container, entry kept in the key metadata. Global, so the
+ * cron sees containers served in every colo.
+ */
+export class KVContainerRegistryStore {
+  /**
+   * @param {KVNamespace} namespace - CONTAINER_REGISTRY_KV binding
+   */
+  constructor(namespace) {
+    this.kv = namespace;
+  }
+
+  async list() {
+    const entries = {};
+    let cursor;
+
+    do {
+      const page = await this.kv.list({ prefix: KV_PREFIX, cursor });
+      for (const { name, metadata } of page.keys) {
+        if (metadata?.url) {
+          entries[name.slice(KV_PREFIX.length)] = metadata;
+        }
+      }
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+
+    return entries;
+  }
+
+  async put(scriptKey, entry) {
+    await this.kv.put(`${KV_PREFIX}${scriptKey}`, entry.url, {
+      expirationTtl: REGISTRY_TTL,
+      metadata: entry
+    });
+  }
+}
+
+let registryStore = null;
+const lastRegisteredAt = new Map();
+
+let registryInitialized = false;
+
+/**
+ * Without CONTAINER_REGISTRY_KV containers are not registered by traffic: a per-colo store
+ * would only be visible to crons running in the same colo.
+ * @param {Object} env - Environment bindings from Cloudflare Workers
+ */
+export function initContainerRegistry(env = {}) {
+  if (registryInitialized) return;
+  registryInitialized = true;
+
+  if (env.CONTAINER_REGISTRY_KV) {
+    registryStore = new KVContainerRegistryStore(env.CONTAINER_REGISTRY_KV);
+    return;
+  }
+
+  Logger.warn('CONTAINER_REGISTRY_KV binding not configured, the cron only refreshes GTM_CONTAINER_IDS and GTM_CONTAINER_ALIASES');
+}
+
+/**
+ * @returns {KVContainerRegistryStore|null} null when traffic registration is disabled
+ */
+export function getContainerRegistry() {
+  return registryStore;
+}
+
+/**
+ * @param {KVContainerRegistryStore|null} store - Store adapter (null disables traffic registration)
+ */
+export function setContainerRegistry(store) {
+  registryStore = store;
+  lastRegisteredAt.clear();
+}
+
+/**
+ * @param {string} scriptKey - Container script key (gtm:GTM-XXX, gtag:G-XXX)
+ * @param {string} url - Upstream script URL requested by the client
+ * @returns {string} Canonical container URL keeping only CONTAINER_PARAMS with safe values
+ */
+function normalizeContainerUrl(scriptKey, url) {
+  const normalized = new URL(getContainerUrl(scriptKey.slice(scriptKey.indexOf(':') + 1)));
+
+  let params;
+  try {
+    params = new URL(url).searchParams;
+  } catch {
+    params = new URLSearchParams();
+  }
+
+  for (const name of CONTAINER_PARAMS) {
+    const value = params.get(name);
+    if (value && CONTAINER_PARAM_VALUE.test(value)) {
+      normalized.searchParams.set(name, value);
+    }
+  }
+
+  return normalized.toString();
+}
+
+/**
+ * Records that a container script was served. Never throws.
+ * @param {string} scriptKey - Container script key (gtm:GTM-XXX, gtag:G-XXX)
+ * @param {string} url - Upstream script URL
+ * @returns {Promise<void>}
+ */
+export async function registerContainer(scriptKey, url) {
+  const store = getContainerRegistry();
+  if (!store || !isContainerSpecificKey(scriptKey)) return;
+
+  const now = Date.now();
+  if (now - (lastRegisteredAt.get(scriptKey) ?? 0) < REGISTER_INTERVAL_MS) return;
+  lastRegisteredAt.set(scriptKey, now);
+
+  try {
+    const entries = await store.list();
+    if (!entries[scriptKey] && Object.keys(entries).length >= MAX_REGISTERED_CONTAINERS) {
+      Logger.warn('Container registry full, container not registered', { scriptKey, max: MAX_REGISTERED_CONTAINERS });
+      return;
+    }
+
+    await store.put(scriptKey, { url: normalizeContainerUrl(scriptKey, url), lastServedAt: now });
+  } catch (error) {
+    lastRegisteredAt.delete(scriptKey);
+    Logger.warn('Failed to register container', { scriptKey, error: error.message });
+  }
+}
+
+/**
+ * @param {string} containerId - GTM-XXX, G-XXX, AW-XXX, DC-XXX or GT-XXX
+ * @returns {string} gtm.js URL for GTM containers, gtag/js otherwise
+ */
+const getContainerUrl = (containerId) => (containerId.toUpperCase().startsWith('GTM-')
+  ? `https://www.googletagmanager.com/gtm.js?id=${encodeURIComponent(containerId)}`
+  : `https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(containerId)}`);
+
+/**
+ * Containers from GTM_CONTAINER_IDS and GTM_CONTAINER_ALIASES, plus every container
+ * registered by traffic (CONTAINER_REGISTRY_KV). Registered URLs win so extra query params
+ * (l, gtm_auth) are kept.
+ * @returns {Promise<Object<string, string>>} Upstream URL keyed by scriptKey
+ */
+export async function getKnownContainers() {
+  const containers = {};
+
+  for (const containerId of [...CONFIG.GTM_CONTAINER_IDS, ...Object.values(CONFIG.GTM_CONTAINER_ALIASES)]) {
+    const url = getContainerUrl(String(containerId));
+    const scriptKey = identifyScriptKey(url);
+
+    if (isContainerSpecificKey(scriptKey)) {
+      containers[scriptKey] = url;
+    } else {
+      Logger.warn('Ignoring invalid container ID', { containerId });
+    }
+  }
+
+  const store = getContainerRegistry();
+  if (!store) return containers;
+
+  try {
+    for (const [scriptKey, entry] of Object.entries(await store.list())) {
+      containers[scriptKey] = entry.url;
+    }
+  } catch (error) {
+    Logger.warn('Failed to read container registry', { error: error.message });
+  }
+
+  return containers;
+}
@@ -95,22 +95,22 @@ export async function batchCreateEndpoints(urls) {
 
 /**
  * @param {string} uuid - The UUID to look up
- * @returns {Promise<string|null>} Original URL or null if not found
+ * @returns {Promise<{uuid: string, targetUrl: string, normalizedUrl: string, createdAt: number}|null>}
+ *   Stored mapping or null if not found
  */
-export async function getTargetUrl(uuid) {
+export async function getEndpointRecord(uuid) {
   try {
     const cacheKey = `${CACHE_PREFIX}${uuid}`;
     const response = await CacheManager.get(cacheKey);
-    
+
     if (!response) {
       Logger.debug('Dynamic endpoint not found in cache', { uuid });
       return null;
     }
 
-    const data = await response.json();
-    return data?.targetUrl ?? null;
+    return await response.json();
   } catch (error) {
-    Logger.error('Error retrieving target URL', {
+    Logger.error('Error retrieving dynamic endpoint', {
       uuid,
       error: error.message
     });
@@ -118,6 +118,15 @@ export async function getTargetUrl(uuid) {
   }
 }
 
+/**
+ * @param {string} uuid - The UUID to look up
+ * @returns {Promise<string|null>} Original URL or null if not found
+ */
+export async function getTargetUrl(uuid) {
+  const data = await getEndpointRecord(uuid);
+  return data?.targetUrl ?? null;
+}
+
 /**
  * @param {string} uuid - UUID to check
  * @returns {Promise<boolean>} True if endpoint exists
@@ -19,7 +19,9 @@ import { getCurrentDateISO } from '../utils/time.js';
 export function createScriptResponse(content, scriptKey, hash, { ttl, updateType, isStale = false }) {
   const headers = {
     'Content-Type': 'application/javascript; charset=utf-8',
-    'Cache-Control': `public, max-age=${ttl}`
+    'Cache-Control': `public, max-age=${ttl}`,
+    // Kept by the Cache API; the cache admin API derives entry age from it
+    'Date': new Date().toUTCString()
   };
 
   if (CONFIG.DEBUG_HEADERS_ENABLED) {
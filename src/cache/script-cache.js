@@ -10,6 +10,7 @@ import { fetchWithTimeout } from '../core/fetch.js';
 import { createScriptResponse, createHashResponse } from './response-factory.js';
 import { extractUrls, filterTrackableUrls, rewriteScriptUrls } from '../proxy/url-extractor.js';
 import { batchCreateEndpoints } from './dynamic-endpoints.js';
+import { buildScriptManifest, trackScriptChange } from './script-changes.js';
 import { CONFIG } from '../config/index.js';
 
 export const SCRIPT_URLS = {
@@ -31,6 +32,43 @@ const HASH_PREFIX = `${CACHE_BASE}script-hash/`;
 const CACHE_TTL = 86400;
 const STALE_TTL = 604800;
 
+// On-demand fetches in flight in this isolate, keyed by scriptKey (single-flight)
+const pendingOnDemandFetches = new Map();
+
+// Background refreshes of static scripts in flight in this isolate, keyed by scriptKey
+const pendingRevalidations = new Map();
+
+/**
+ * @param {Response} cached - Entry read from the Cache API
+ * @returns {{age: number|null, ttl: number|null}} Seconds since it was cached and until it expires,
+ *   null for entries written without a Date header
+ */
+export function getCacheEntryAge(cached) {
+  const date = Date.parse(cached.headers.get('Date') ?? '');
+  const maxAge = Number(/max-age=(\d+)/.exec(cached.headers.get('Cache-Control') ?? '')?.[1]);
+  const age = Number.isNaN(date) ? null : Math.max(0, Math.floor((Date.now() - date) / 1000));
+
+  return {
+    age,
+    ttl: age !== null && !Number.isNaN(maxAge) ? Math.max(0, maxAge - age) : null
+  };
+}
+
+/**
+ * @param {string} scriptKey - Script identifier
+ * @returns {Promise<{state: 'fresh'|'stale'|'missing', age: number|null, ttl: number|null}>}
+ *   Entry that would be served, without reading its body
+ */
+export async function getScriptCacheState(scriptKey) {
+  const fresh = await CacheManager.get(`${CACHE_PREFIX}${scriptKey}`);
+  if (fresh) return { state: 'fresh', ...getCacheEntryAge(fresh) };
+
+  const stale = await CacheManager.get(`${STALE_PREFIX}${scriptKey}`);
+  if (stale) return { state: 'stale', ...getCacheEntryAge(stale) };
+
+  return { state: 'missing', age: null, ttl: null };
+}
+
 /**
  * @param {string} content - Script content
  * @param {string} scriptKey - Script identifier
@@ -64,20 +102,33 @@ async function updateScriptCache(content, scriptKey, hash, updateType) {
   ]);
 }
 
+/**
+ * Prefixes of longer URLs and URLs in comments are not string literals, so they do not count
+ * @param {string} content - Rewritten script
+ * @param {string} url - Trackable URL
+ * @returns {boolean} Whether the URL is still a whole quoted string literal
+ */
+function containsQuotedUrl(content, url) {
+  const escapedUrl = url.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`['"\`]${escapedUrl}['"\`]`).test(content);
+}
+
 /**
  * Processes script for Full Script Proxy mode
  * @param {string} scriptContent - Original script
  * @param {string} scriptKey - Script identifier
- * @returns {Promise<{content: string, urlsProcessed: number}>}
+ * @returns {Promise<{content: string, urlsProcessed: number, unrewrittenUrls: string[]}>}
  */
 async function processScriptForFullProxy(scriptContent, scriptKey) {
   if (!CONFIG.FULL_SCRIPT_PROXY_ENABLED) {
-    return { content: scriptContent, urlsProcessed: 0 };
+    return { content: scriptContent, urlsProcessed: 0, unrewrittenUrls: [] };
   }
 
+  let trackableUrls = [];
+
   try {
     const allUrls = extractUrls(scriptContent);
-    const trackableUrls = filterTrackableUrls(allUrls);
+    trackableUrls = filterTrackableUrls(allUrls);
 
     Logger.info('Full Script Proxy: URLs extracted', {
       scriptKey,
@@ -86,33 +137,73 @@ async function processScriptForFullProxy(scriptContent, scriptKey) {
     });
 
     if (trackableUrls.length === 0) {
-      return { content: scriptContent, urlsProcessed: 0 };
+      return { content: scriptContent, urlsProcessed: 0, unrewrittenUrls: [] };
     }
 
     const urlMappings = await batchCreateEndpoints(trackableUrls);
     const processedContent = rewriteScriptUrls(scriptContent, urlMappings);
 
+    // No endpoint created, or the literal survived rewriting
+    const unrewrittenUrls = trackableUrls.filter(url =>
+      !urlMappings.has(url) || containsQuotedUrl(processedContent, url));
+
     Logger.info('Full Script Proxy: Script rewritten', {
       scriptKey,
-      urlsReplaced: urlMappings.size
+      urlsReplaced: urlMappings.size,
+      unrewritten: unrewrittenUrls.length
     });
 
-    return { content: processedContent, urlsProcessed: urlMappings.size };
+    return { content: processedContent, urlsProcessed: urlMappings.size, unrewrittenUrls };
 
   } catch (error) {
     Logger.error('Full Script Proxy processing failed', {
       scriptKey,
       error: error.message
     });
-    return { content: scriptContent, urlsProcessed: 0 };
+    return { content: scriptContent, urlsProcessed: 0, unrewrittenUrls: trackableUrls };
+  }
+}
+
+/**
+ * Refreshes a stale script after the response is sent. Skipped while a fetch for the
+ * same scriptKey is already in flight. Container keys go through the on-demand path;
+ * static scripts through the scheduled one, which keeps their TTL, hash, manifest and
+ * change tracking.
+ * @param {string} targetUrl - Upstream script URL
+ * @param {string} scriptKey - Script identifier
+ * @param {ExecutionContext} ctx - Worker execution context
+ */
+function revalidateInBackground(targetUrl, scriptKey, ctx) {
+  if (pendingOnDemandFetches.has(scriptKey) || pendingRevalidations.has(scriptKey)) {
+    Logger.debug('Script revalidation already in progress', { scriptKey });
+    return;
   }
+
+  if (isContainerSpecificKey(scriptKey)) {
+    ctx.waitUntil(fetchAndCacheOnDemand(targetUrl, scriptKey).then(response => {
+      Logger.info(response ? 'Stale script revalidated' : 'Stale script revalidation failed', { scriptKey });
+    }));
+    return;
+  }
+
+  const revalidation = fetchAndCompareScript(SCRIPT_URLS[scriptKey] ?? targetUrl, scriptKey)
+    .then(({ error }) => {
+      Logger.info(error ? 'Stale script revalidation failed' : 'Stale script revalidated', { scriptKey });
+    })
+    .finally(() => pendingRevalidations.delete(scriptKey));
+
+  pendingRevalidations.set(scriptKey, revalidation);
+  ctx.waitUntil(revalidation);
 }
 
 /**
  * @param {string} scriptKey - Nome do script (fbevents, gtm, gtag)
+ * @param {Object} [options]
+ * @param {string} [options.targetUrl] - Upstream URL, refreshed in the background when stale is served
+ * @param {ExecutionContext} [options.ctx] - Worker execution context (`waitUntil`)
  * @returns {Promise<Response|null>} - Response do cache ou null
  */
-export async function getScriptFromCache(scriptKey) {
+export async function getScriptFromCache(scriptKey, { targetUrl, ctx } = {}) {
   try {
     const cacheKey = `${CACHE_PREFIX}${scriptKey}`;
     const cached = await CacheManager.get(cacheKey);
@@ -128,7 +219,7 @@ export async function getScriptFromCache(scriptKey) {
     if (staleCached) {
       Logger.warn('Script cache hit (stale fallback)', {
         scriptKey,
-        message: 'Fresh cache expired, serving stale content'
+        message: 'Fresh cache expired, serving stale content while revalidating'
       });
 
       const staleResponse = new Response(staleCached.body, {
@@ -137,6 +228,10 @@ export async function getScriptFromCache(scriptKey) {
       });
       staleResponse.headers.set('X-Cache-Status', 'stale');
 
+      if (targetUrl && ctx?.waitUntil) {
+        revalidateInBackground(targetUrl, scriptKey, ctx);
+      }
+
       return staleResponse;
     }
 
@@ -154,7 +249,7 @@ export async function getScriptFromCache(scriptKey) {
 /**
  * @param {string} url - URL do script
  * @param {string} scriptKey - Nome do script (fbevents, gtm, gtag)
- * @returns {Promise<{updated: boolean, urlsProcessed?: number, error?: string}>}
+ * @returns {Promise<{updated: boolean, urlsProcessed?: number, change?: import('./script-changes.js').ScriptChange, error?: string}>}
  */
 export async function fetchAndCompareScript(url, scriptKey) {
   try {
@@ -181,11 +276,15 @@ export async function fetchAndCompareScript(url, scriptKey) {
     const scriptContent = await response.text();
 
     // Process for Full Script Proxy (extract URLs, create endpoints, rewrite)
-    const { content: processedContent, urlsProcessed } =
+    const { content: processedContent, urlsProcessed, unrewrittenUrls } =
       await processScriptForFullProxy(scriptContent, scriptKey);
 
     const newHash = await generateSHA256(processedContent);
 
+    // Diff the upstream script: the processed hash also changes when endpoint UUIDs rotate
+    const manifest = buildScriptManifest(scriptContent, await generateSHA256(scriptContent), unrewrittenUrls);
+    const change = await trackScriptChange(scriptKey, manifest);
+
     const hashKey = `${HASH_PREFIX}${scriptKey}`;
     const oldHashResponse = await CacheManager.get(hashKey);
     const oldHash = (await oldHashResponse?.text()) ?? null;
@@ -203,14 +302,14 @@ export async function fetchAndCompareScript(url, scriptKey) {
       await updateScriptCache(processedContent, scriptKey, newHash, 'updated');
 
       Logger.info('Script cache updated (fresh + stale)', { scriptKey });
-      return { updated: true, urlsProcessed };
+      return { updated: true, urlsProcessed, ...(change && { change }) };
 
     } else {
       Logger.info('Script unchanged, refreshing TTL', { scriptKey, urlsProxied: urlsProcessed });
 
       await updateScriptCache(processedContent, scriptKey, newHash, 'refreshed');
 
-      return { updated: false, urlsProcessed };
+      return { updated: false, urlsProcessed, ...(change && { change }) };
     }
 
   } catch (error) {
@@ -263,13 +362,12 @@ export function isContainerSpecificKey(scriptKey) {
 }
 
 /**
- * Fetches script on-demand, processes through Full Script Proxy, and caches
- * Used for container-specific scripts (GTM/gtag with ?id= parameter)
+ * Downloads, rewrites and caches a script. Only called through fetchAndCacheOnDemand.
  * @param {string} targetUrl - Full URL with container ID
  * @param {string} scriptKey - Composite key (e.g., 'gtm:GTM-XXX')
- * @returns {Promise<Response|null>}
+ * @returns {Promise<{content: string, hash: string}|null>}
  */
-export async function fetchAndCacheOnDemand(targetUrl, scriptKey) {
+async function fetchScriptOnDemand(targetUrl, scriptKey) {
   try {
     Logger.info('On-demand script fetch', { scriptKey, url: targetUrl });
 
@@ -321,12 +419,7 @@ export async function fetchAndCacheOnDemand(targetUrl, scriptKey) {
 
     Logger.info('On-demand script cached', { scriptKey, urlsProcessed });
 
-    // Return fresh response for immediate use
-    return createScriptResponse(processedContent, scriptKey, hash, {
-      ttl: ON_DEMAND_TTL,
-      updateType: 'on-demand',
-      isStale: false
-    });
+    return { content: processedContent, hash };
 
   } catch (error) {
     Logger.error('On-demand fetch error', {
@@ -336,3 +429,36 @@ export async function fetchAndCacheOnDemand(targetUrl, scriptKey) {
     return null;
   }
 }
+
+/**
+ * Fetches script on-demand, processes through Full Script Proxy, and caches
+ * Used for container-specific scripts (GTM/gtag with ?id= parameter)
+ * Concurrent calls for the same scriptKey share one upstream fetch and one
+ * batchCreateEndpoints run, so a cold container cannot stampede googletagmanager.com
+ * @param {string} targetUrl - Full URL with container ID
+ * @param {string} scriptKey - Composite key (e.g., 'gtm:GTM-XXX')
+ * @returns {Promise<Response|null>}
+ */
+export async function fetchAndCacheOnDemand(targetUrl, scriptKey) {
+  let pending = pendingOnDemandFetches.get(scriptKey);
+
+  if (pending) {
+    Logger.debug('On-demand fetch coalesced', { scriptKey });
+  } else {
+    pending = fetchScriptOnDemand(targetUrl, scriptKey)
+      .finally(() => pendingOnDemandFetches.delete(scriptKey));
+    pendingOnDemandFetches.set(scriptKey, pending);
+  }
+
+  const script = await pending;
+  if (!script) {
+    return null;
+  }
+
+  // Each waiter gets its own Response: a body can only be read once
+  return createScriptResponse(script.content, scriptKey, script.hash, {
+    ttl: ON_DEMAND_TTL,
+    updateType: 'on-demand',
+    isStale: false
+  });
+}
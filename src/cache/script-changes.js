@@ -0,0 +1,188 @@
+/**
+ * @fileoverview Script Changes - Diff upstream script versions and alert on changes
+ * @module cache/script-changes
+ */
+
+import { CONFIG } from '../config/index.js';
+import { Logger } from '../core/logger.js';
+import { CacheManager } from '../core/cache.js';
+import { fetchWithTimeout } from '../core/fetch.js';
+import { extractUrls, filterTrackableUrls, normalizeUrl } from '../proxy/url-extractor.js';
+
+const MANIFEST_PREFIX = 'https://cache.internal/script-manifest/';
+const CHANGE_PREFIX = 'https://cache.internal/script-change/';
+const MANIFEST_TTL = 604800;
+const CHANGE_TTL = 2592000;
+
+/**
+ * @typedef {Object} ScriptManifest
+ * @property {string} hash - SHA-256 of the upstream (unrewritten) script
+ * @property {number} size - Upstream script size in bytes
+ * @property {string[]} urls - Trackable URLs in the upstream script, without query strings
+ * @property {string[]} unrewritten - Trackable URLs Full Script Proxy could not rewrite
+ * @property {number} fetchedAt - Epoch ms
+ */
+
+/**
+ * @typedef {Object} ScriptChange
+ * @property {string} scriptKey
+ * @property {number} detectedAt - Epoch ms
+ * @property {string} previousHash
+ * @property {string} hash
+ * @property {{before: number, after: number, delta: number}} size - Bytes
+ * @property {string[]} addedUrls - Tracking URLs that appeared
+ * @property {string[]} removedUrls - Tracking URLs that disappeared
+ * @property {string[]} unrewrittenUrls - Tracking URLs still pointing at the vendor after rewriting
+ */
+
+/**
+ * @param {string} scriptContent - Upstream script
+ * @param {string} hash - SHA-256 of scriptContent
+ * @param {string[]} unrewrittenUrls - From processScriptForFullProxy
+ * @returns {ScriptManifest}
+ */
+export function buildScriptManifest(scriptContent, hash, unrewrittenUrls = []) {
+  const urls = new Set(filterTrackableUrls(extractUrls(scriptContent)).map(normalizeUrl));
+
+  return {
+    hash,
+    size: new TextEncoder().encode(scriptContent).length,
+    urls: [...urls].sort(),
+    unrewritten: [...new Set(unrewrittenUrls.map(normalizeUrl))].sort(),
+    fetchedAt: Date.now()
+  };
+}
+
+/**
+ * @param {string} scriptKey
+ * @param {ScriptManifest} previous
+ * @param {ScriptManifest} current
+ * @returns {ScriptChange}
+ */
+export function diffScriptManifests(scriptKey, previous, current) {
+  const previousUrls = new Set(previous.urls);
+  const currentUrls = new Set(current.urls);
+
+  return {
+    scriptKey,
+    detectedAt: current.fetchedAt,
+    previousHash: previous.hash,
+    hash: current.hash,
+    size: {
+      before: previous.size,
+      after: current.size,
+      delta: current.size - previous.size
+    },
+    addedUrls: current.urls.filter(url => !previousUrls.has(url)),
+    removedUrls: previous.urls.filter(url => !currentUrls.has(url)),
+    unrewrittenUrls: current.unrewritten
+  };
+}
+
+/**
+ * @param {string} scriptKey
+ * @returns {Promise<ScriptManifest|null>} Manifest of the last fetched version
+ */
+async function getScriptManifest(scriptKey) {
+  const cached = await CacheManager.get(`${MANIFEST_PREFIX}${scriptKey}`);
+  return cached ? cached.json() : null;
+}
+
+/**
+ * @param {string} scriptKey
+ * @returns {Promise<ScriptChange|null>} Last change detected for this script
+ */
+export async function getScriptChange(scriptKey) {
+  const cached = await CacheManager.get(`${CHANGE_PREFIX}${scriptKey}`);
+  return cached ? cached.json() : null;
+}
+
+/**
+ * @param {string} prefix
+ * @param {string} scriptKey
+ * @param {Object} data
+ * @param {number} ttl - Seconds
+ */
+const putJson = (prefix, scriptKey, data, ttl) => CacheManager.put(
+  `${prefix}${scriptKey}`,
+  new Response(JSON.stringify(data), { headers: { 'Content-Type': 'application/json' } }),
+  ttl
+);
+
+/**
+ * @param {ScriptChange} change
+ * @returns {string} One-line summary for chat webhooks
+ */
+function summarizeChange(change) {
+  const { scriptKey, size, addedUrls, removedUrls, unrewrittenUrls } = change;
+  const sign = size.delta >= 0 ? '+' : '';
+
+  return `Upstream script ${scriptKey} changed: ${sign}${size.delta} bytes, ` +
+    `${addedUrls.length} tracking URL(s) added, ${removedUrls.length} removed, ` +
+    `${unrewrittenUrls.length} not rewritten`;
+}
+
+/**
+ * POSTs the change to SCRIPT_CHANGE_WEBHOOK_URL. `text` makes the payload readable by
+ * Slack / Discord-style incoming webhooks; the full record is under `change`.
+ * @param {ScriptChange} change
+ * @returns {Promise<void>}
+ */
+async function notifyScriptChange(change) {
+  if (!CONFIG.SCRIPT_CHANGE_WEBHOOK_URL) return;
+
+  try {
+    const response = await fetchWithTimeout(CONFIG.SCRIPT_CHANGE_WEBHOOK_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text: summarizeChange(change), change })
+    });
+
+    if (!response.ok) {
+      Logger.warn('Script change webhook rejected', { scriptKey: change.scriptKey, status: response.status });
+    }
+  } catch (error) {
+    Logger.warn('Script change webhook failed', { scriptKey: change.scriptKey, error: error.message });
+  }
+}
+
+/**
+ * Stores the manifest of the version just fetched and, when the upstream script differs
+ * from the previous manifest, stores and sends a change record. Never throws.
+ * @param {string} scriptKey
+ * @param {ScriptManifest} manifest
+ * @returns {Promise<ScriptChange|null>} Change record, null when unchanged or on first fetch
+ */
+export async function trackScriptChange(scriptKey, manifest) {
+  try {
+    const previous = await getScriptManifest(scriptKey);
+    await putJson(MANIFEST_PREFIX, scriptKey, manifest, MANIFEST_TTL);
+
+    if (!previous) {
+      Logger.info('Script manifest baseline stored', { scriptKey, urls: manifest.urls.length });
+      return null;
+    }
+
+    if (previous.hash === manifest.hash) {
+      return null;
+    }
+
+    const change = diffScriptManifests(scriptKey, previous, manifest);
+    await putJson(CHANGE_PREFIX, scriptKey, change, CHANGE_TTL);
+
+    Logger[change.unrewrittenUrls.length > 0 ? 'warn' : 'info']('Upstream script changed', {
+      scriptKey,
+      sizeDelta: change.size.delta,
+      addedUrls: change.addedUrls,
+      removedUrls: change.removedUrls,
+      unrewrittenUrls: change.unrewrittenUrls
+    });
+
+    await notifyScriptChange(change);
+    return change;
+
+  } catch (error) {
+    Logger.warn('Script change tracking failed', { scriptKey, error: error.message });
+    return null;
+  }
+}
@@ -3,16 +3,8 @@
  * @module config/index
  */
 
-import { parsePositiveInt } from '../utils/validation.js';
-
-/**
- * @param {string} csvString - Comma-separated values
- * @returns {string[]} Array of trimmed strings
- */
-const parseArrayConfig = (csvString) => {
-  if (!csvString) return [];
-  return csvString.split(',').map(s => s.trim()).filter(s => s.length > 0);
-};
+import { CONFIG_SCHEMA, getFieldDefault, parseConfig } from './schema.js';
+import { Logger } from '../core/logger.js';
 
 /**
  * @param {Request} request - Incoming request
@@ -27,109 +19,67 @@ export const getOriginFromRequest = (request) => {
   }
 };
 
+export let CONFIG = Object.fromEntries(
+  Object.entries(CONFIG_SCHEMA).map(([key, field]) => [key, getFieldDefault(field)])
+);
+
+let configErrors = [];
+let configLogged = false;
+
 /**
- * @returns {string} Random UUID or timestamp-based secret
+ * Proxy upstreams and the event destination whose IP policy they follow
  */
-const generateDefaultSecret = () => {
-  try {
-    if (crypto?.randomUUID) {
-      return crypto.randomUUID();
-    }
-  } catch {
-    // Fallback to timestamp-based secret
-  }
+const IP_POLICY_ALIASES = { facebook: 'meta', google: 'ga4' };
 
-  const timestamp = Date.now().toString(36);
-  const random = Math.random().toString(36).slice(2, 15);
-  return `${timestamp}-${random}`;
+/**
+ * Proxied hits use their own key when set, otherwise the destination they feed (`meta` covers
+ * Facebook `/tr`, `ga4` covers Google collect hits)
+ * @param {string} [destination] - Event destination (gtm, ga4, meta) or proxy upstream (facebook, google, dynamic, ...)
+ * @returns {'full'|'truncate'|'country-only'|'none'} IP policy for calls to that upstream
+ */
+export const getIpPolicy = (destination) => {
+  const overrides = CONFIG.IP_POLICY_BY_DESTINATION;
+  return overrides[destination] ?? overrides[IP_POLICY_ALIASES[destination]] ?? CONFIG.IP_POLICY;
 };
 
-export let CONFIG = {
-  GTM_SERVER_URL: '',
-  ALLOWED_ORIGINS: [],
-  RATE_LIMIT_REQUESTS: 100,
-  RATE_LIMIT_WINDOW: 60000,
-  FETCH_TIMEOUT: 10000,
-  UUID_ROTATION_INTERVAL_MS: 604800000,
-  OBFUSCATION_SECRET: generateDefaultSecret(),
-  CACHE_TTL: 3600,
-  MAX_REQUEST_SIZE: 1048576,
-  OBFUSCATION_FB_UUID: generateDefaultSecret(),
-  OBFUSCATION_GA_UUID: generateDefaultSecret(),
-  LOG_LEVEL: 'info',
-  DEBUG_HEADERS_ENABLED: false,
-  GTM_CONTAINER_ALIASES: {},
-  UUID_ROTATION_ENABLED: false,
-  ENDPOINTS_API_TOKEN: generateDefaultSecret(),
-  FULL_SCRIPT_PROXY_ENABLED: true
+/**
+ * @returns {import('./schema.js').ConfigError[]} Invalid variables found by the last initConfig
+ */
+export const getConfigErrors = () => configErrors;
+
+/**
+ * @param {string} key
+ * @param {Object} env
+ * @returns {string} `(set)` / `(auto-generated)` / `(not set)`, secrets are never printed
+ */
+const describeSecret = (key, env) => {
+  if (env[key]) return '(set)';
+  return CONFIG_SCHEMA[key].generate ? '(auto-generated)' : '(not set)';
 };
 
 /**
+ * Invalid values keep their default and are reported by getConfigErrors() and /health.
+ * Warnings and the summary are logged once per isolate, not on every request.
  * @param {Object} env - Environment variables from Cloudflare Workers
  */
 export const initConfig = (env = {}) => {
-  CONFIG.GTM_SERVER_URL = env.GTM_SERVER_URL ?? CONFIG.GTM_SERVER_URL;
-
-  if (env.ALLOWED_ORIGINS) {
-    CONFIG.ALLOWED_ORIGINS = parseArrayConfig(env.ALLOWED_ORIGINS);
-  }
+  const { values, errors } = parseConfig(env);
+  Object.assign(CONFIG, values);
+  configErrors = errors;
 
-  const intConfigs = [
-    'RATE_LIMIT_REQUESTS',
-    'RATE_LIMIT_WINDOW',
-    'FETCH_TIMEOUT',
-    'UUID_ROTATION_INTERVAL_MS',
-    'CACHE_TTL',
-    'MAX_REQUEST_SIZE'
-  ];
+  if (configLogged) return;
+  configLogged = true;
 
-  for (const key of intConfigs) {
-    const envValue = env[key];
-    if (envValue) {
-      const parsed = parsePositiveInt(envValue);
-      if (parsed !== null) {
-        CONFIG[key] = parsed;
-      }
-    }
+  for (const { key, message } of errors) {
+    Logger.warn('Invalid config value, using the default', { key, error: message });
   }
 
-  CONFIG.OBFUSCATION_SECRET = env.OBFUSCATION_SECRET ?? CONFIG.OBFUSCATION_SECRET;
   if (!env.OBFUSCATION_SECRET) {
-    console.log('[CONFIG] OBFUSCATION_SECRET auto-generated (not set in env)');
-    console.log('[CONFIG] ℹ️ INFO: This is used for UUID generation (deterministic hashing)');
-  }
-
-  CONFIG.OBFUSCATION_FB_UUID = env.OBFUSCATION_FB_UUID ?? CONFIG.OBFUSCATION_FB_UUID;
-  CONFIG.OBFUSCATION_GA_UUID = env.OBFUSCATION_GA_UUID ?? CONFIG.OBFUSCATION_GA_UUID;
-
-  CONFIG.LOG_LEVEL = env.LOG_LEVEL ?? CONFIG.LOG_LEVEL;
-
-  if (env.DEBUG_HEADERS_ENABLED !== undefined) {
-    CONFIG.DEBUG_HEADERS_ENABLED = env.DEBUG_HEADERS_ENABLED === 'true' || env.DEBUG_HEADERS_ENABLED === true;
-  }
-
-  if (env.GTM_CONTAINER_ALIASES) {
-    try {
-      CONFIG.GTM_CONTAINER_ALIASES = JSON.parse(env.GTM_CONTAINER_ALIASES);
-    } catch {
-      CONFIG.GTM_CONTAINER_ALIASES = {};
-    }
+    Logger.info('OBFUSCATION_SECRET auto-generated (not set in env), used for UUID generation');
   }
 
-  if (env.UUID_ROTATION_ENABLED !== undefined) {
-    CONFIG.UUID_ROTATION_ENABLED = env.UUID_ROTATION_ENABLED === 'true' || env.UUID_ROTATION_ENABLED === true;
-  }
-
-  CONFIG.ENDPOINTS_API_TOKEN = env.ENDPOINTS_API_TOKEN ?? CONFIG.ENDPOINTS_API_TOKEN;
   if (!env.ENDPOINTS_API_TOKEN) {
-    console.log('[CONFIG] ENDPOINTS_API_TOKEN auto-generated (not set in env)');
-    console.log('[CONFIG] Auto-generated token:', CONFIG.ENDPOINTS_API_TOKEN);
-    console.log('[CONFIG] ⚠️ WARNING: Use this token for /endpoints API access');
-    console.log('[CONFIG] ⚠️ PRODUCTION: Set via "wrangler secret put ENDPOINTS_API_TOKEN"');
-  }
-
-  if (env.FULL_SCRIPT_PROXY_ENABLED !== undefined) {
-    CONFIG.FULL_SCRIPT_PROXY_ENABLED = env.FULL_SCRIPT_PROXY_ENABLED === 'true' || env.FULL_SCRIPT_PROXY_ENABLED === true;
+    Logger.warn('ENDPOINTS_API_TOKEN auto-generated (not set in env), it changes with every isolate; set it via "wrangler secret put ENDPOINTS_API_TOKEN"');
   }
 
   const {
@@ -142,20 +92,27 @@ export const initConfig = (env = {}) => {
     RATE_LIMIT_REQUESTS,
     RATE_LIMIT_WINDOW,
     CACHE_TTL,
-    LOG_LEVEL
+    LOG_LEVEL,
+    META_PIXEL_ID,
+    META_ACCESS_TOKEN,
+    EVENT_DESTINATIONS
   } = CONFIG;
 
-  console.log('[CONFIG] ============================================================');
-  console.log('[CONFIG] Tracklay Worker Configuration Summary');
-  console.log('[CONFIG] ============================================================');
-  console.log('[CONFIG] GTM_SERVER_URL:', GTM_SERVER_URL || '(not set - client-side only)');
-  console.log('[CONFIG] UUID_ROTATION_ENABLED:', UUID_ROTATION_ENABLED ? 'enabled (weekly rotation)' : 'disabled (fixed UUIDs)');
-  console.log('[CONFIG] OBFUSCATION_FB_UUID:', OBFUSCATION_FB_UUID);
-  console.log('[CONFIG] OBFUSCATION_GA_UUID:', OBFUSCATION_GA_UUID);
-  console.log('[CONFIG] DEBUG_HEADERS_ENABLED:', DEBUG_HEADERS_ENABLED);
-  console.log('[CONFIG] FULL_SCRIPT_PROXY_ENABLED:', FULL_SCRIPT_PROXY_ENABLED ? 'enabled (full proxy)' : 'disabled (transport_url only)');
-  console.log('[CONFIG] RATE_LIMIT:', RATE_LIMIT_REQUESTS, 'requests per', RATE_LIMIT_WINDOW / 1000, 'seconds');
-  console.log('[CONFIG] CACHE_TTL:', CACHE_TTL, 'seconds');
-  console.log('[CONFIG] LOG_LEVEL:', LOG_LEVEL);
-  console.log('[CONFIG] ============================================================');
+  Logger.info('Tracklay worker configuration', {
+    gtmServerUrl: GTM_SERVER_URL || '(not set - client-side only)',
+    uuidRotation: UUID_ROTATION_ENABLED ? 'enabled (weekly rotation)' : 'disabled (fixed UUIDs)',
+    fbUuid: OBFUSCATION_FB_UUID,
+    gaUuid: OBFUSCATION_GA_UUID,
+    debugHeaders: DEBUG_HEADERS_ENABLED,
+    fullScriptProxy: FULL_SCRIPT_PROXY_ENABLED ? 'enabled (full proxy)' : 'disabled (transport_url only)',
+    rateLimit: `${RATE_LIMIT_REQUESTS} requests per ${RATE_LIMIT_WINDOW / 1000} seconds`,
+    cacheTtl: CACHE_TTL,
+    logLevel: LOG_LEVEL,
+    eventDestinations: EVENT_DESTINATIONS.join(', ') || '(none)',
+    metaCapi: META_PIXEL_ID && META_ACCESS_TOKEN ? `enabled (pixel ${META_PIXEL_ID})` : 'disabled',
+    secrets: Object.fromEntries(Object.keys(CONFIG_SCHEMA)
+      .filter(key => CONFIG_SCHEMA[key].secret)
+      .map(key => [key, describeSecret(key, env)])),
+    configErrors: errors.map(({ key }) => key)
+  });
 };
@@ -0,0 +1,339 @@
+/**
+ * @fileoverview Config Schema - Declarative definition of every environment variable
+ * @module config/schema
+ *
+ * Each field declares its type, default, range / allowed values and whether it is a secret.
+ * parseConfig turns an env object into values plus validation errors; invalid values keep
+ * their default. formatConfigReference renders the schema as a Markdown table
+ * (`npm run config:reference`).
+ */
+
+export const IP_POLICIES = ['full', 'truncate', 'country-only', 'none'];
+
+/**
+ * @typedef {Object} ConfigField
+ * @property {'string'|'url'|'int'|'boolean'|'enum'|'list'|'json'} type
+ * @property {*} default - Value used when the variable is unset or invalid
+ * @property {() => *} [generate] - Default generated per isolate (secrets)
+ * @property {string} description
+ * @property {boolean} [secret] - Never logged, never reported in errors
+ * @property {number} [min] - int lower bound (default 1)
+ * @property {number} [max] - int upper bound
+ * @property {string[]} [values] - enum allowed values
+ * @property {RegExp} [pattern] - string format
+ * @property {'array'|'object'} [shape] - json top-level type
+ * @property {(value: *) => {value: *, error?: string}} [normalize] - Cleans a parsed value; `error`
+ *   reports entries that were dropped
+ */
+
+/**
+ * @returns {string} Random UUID or timestamp-based secret
+ */
+const generateDefaultSecret = () => {
+  try {
+    if (crypto?.randomUUID) {
+      return crypto.randomUUID();
+    }
+  } catch {
+    // Fallback to timestamp-based secret
+  }
+
+  const timestamp = Date.now().toString(36);
+  const random = Math.random().toString(36).slice(2, 15);
+  return `${timestamp}-${random}`;
+};
+
+/**
+ * @param {Array} entries
+ * @param {(entry: *) => boolean} isValid
+ * @param {string} what - Entry description for the error
+ * @returns {{value: Array, error?: string}}
+ */
+const keepValidEntries = (entries, isValid, what) => {
+  const value = entries.filter(isValid);
+  const dropped = entries.length - value.length;
+  return dropped > 0 ? { value, error: `${dropped} invalid ${what} ignored` } : { value };
+};
+
+/**
+ * @param {Object} map
+ * @param {(value: *) => boolean} isValid
+ * @param {string} what
+ * @returns {{value: Object, error?: string}}
+ */
+const keepValidValues = (map, isValid, what) => {
+  const { value, error } = keepValidEntries(Object.entries(map), ([, entry]) => isValid(entry), what);
+  return { value: Object.fromEntries(value), ...(error && { error }) };
+};
+
+/** @type {Object<string, ConfigField>} */
+export const CONFIG_SCHEMA = {
+  GTM_SERVER_URL: { type: 'url', default: '', description: 'Server-side GTM container URL; empty for client-side only' },
+  ALLOWED_ORIGINS: { type: 'list', default: [], description: 'CORS origins (CSV); empty allows the request origin' },
+  RATE_LIMIT_REQUESTS: { type: 'int', default: 100, description: 'Requests per window for the default rate limit policy' },
+  RATE_LIMIT_WINDOW: { type: 'int', default: 60000, min: 1000, description: 'Default rate limit window (ms)' },
+  FETCH_TIMEOUT: { type: 'int', default: 10000, min: 100, max: 300000, description: 'Upstream fetch timeout (ms)' },
+  UUID_ROTATION_INTERVAL_MS: { type: 'int', default: 604800000, min: 60000, description: 'Endpoint UUID rotation interval (ms)' },
+  OBFUSCATION_SECRET: { type: 'string', default: '', generate: generateDefaultSecret, secret: true, description: 'Seed for rotating endpoint UUIDs' },
+  CACHE_TTL: { type: 'int', default: 3600, max: 31536000, description: 'TTL of proxied cacheable responses (s)' },
+  MAX_REQUEST_SIZE: { type: 'int', default: 1048576, description: 'Largest accepted request body (bytes)' },
+  OBFUSCATION_FB_UUID: { type: 'string', default: '', generate: generateDefaultSecret, description: 'Fixed Facebook path UUID' },
+  OBFUSCATION_GA_UUID: { type: 'string', default: '', generate: generateDefaultSecret, description: 'Fixed Google path UUID' },
+  LOG_LEVEL: { type: 'enum', default: 'info', values: ['debug', 'info', 'warn', 'error'], description: 'Lowest level written' },
+  LOG_SAMPLE_RATES: {
+    type: 'json',
+    shape: 'object',
+    default: {},
+    description: 'Per-level sampling rates 0-1, e.g. {"debug":0.01}',
+    normalize: (rates) => keepValidValues(rates, rate => typeof rate === 'number' && rate >= 0 && rate <= 1, 'sample rate(s)')
+  },
+  LOG_REDACTION_ENABLED: { type: 'boolean', default: true, description: 'Truncate IPs, mask emails, tokens and identifiers in logs' },
+  LOG_HTTP_URL: { type: 'url', default: '', description: 'HTTP log sink receiving NDJSON after each request' },
+  LOG_HTTP_TOKEN: { type: 'string', default: '', secret: true, description: 'Bearer token for LOG_HTTP_URL' },
+  DEBUG_HEADERS_ENABLED: { type: 'boolean', default: false, description: 'Expose X-Cache-Status, script hashes and /health metrics' },
+  GTM_CONTAINER_ALIASES: { type: 'json', shape: 'object', default: {}, description: 'Alias to container ID map for query obfuscation' },
+  GTM_CONTAINER_IDS: { type: 'list', default: [], description: 'Containers refreshed by the cron (CSV)' },
+  SCRIPT_CHANGE_WEBHOOK_URL: { type: 'url', default: '', secret: true, description: 'Webhook notified when an upstream script changes' },
+  UUID_ROTATION_ENABLED: { type: 'boolean', default: false, description: 'Rotate endpoint UUIDs every UUID_ROTATION_INTERVAL_MS' },
+  ENDPOINTS_API_TOKEN: { type: 'string', default: '', generate: generateDefaultSecret, secret: true, description: 'Token `default` with every scope for /endpoints and admin routes' },
+  API_TOKENS: {
+    type: 'json',
+    shape: 'array',
+    default: [],
+    secret: true,
+    description: 'Named tokens with scopes: [{"name","token","scopes"}]',
+    normalize: (tokens) => {
+      const { value, error } = keepValidEntries(
+        tokens,
+        entry => typeof entry?.name === 'string' && typeof entry.token === 'string' && entry.token.length > 0,
+        'token(s)'
+      );
+      return {
+        value: value.map(({ name, token, scopes }) => ({
+          name,
+          token,
+          scopes: Array.isArray(scopes) && scopes.length > 0 ? scopes : ['endpoints']
+        })),
+        ...(error && { error })
+      };
+    }
+  },
+  AUTH_QUERY_TOKEN_ENABLED: { type: 'boolean', default: false, description: 'Accept the deprecated ?token= query parameter' },
+  FULL_SCRIPT_PROXY_ENABLED: { type: 'boolean', default: true, description: 'Rewrite every tracking URL inside proxied scripts' },
+  META_PIXEL_ID: { type: 'string', default: '', pattern: /^\d+$/, description: 'Meta Pixel ID for the Conversions API' },
+  META_ACCESS_TOKEN: { type: 'string', default: '', secret: true, description: 'Meta Conversions API access token' },
+  META_CAPI_URL: { type: 'url', default: 'https://graph.facebook.com/v21.0', description: 'Graph API base URL' },
+  META_TEST_EVENT_CODE: { type: 'string', default: '', description: 'Events Manager test event code' },
+  EVENT_DESTINATIONS: { type: 'list', default: ['gtm', 'ga4', 'meta'], description: 'Destinations of /cdn/events (CSV)' },
+  GA4_MEASUREMENT_ID: { type: 'string', default: '', pattern: /^G-[A-Z0-9]+$/i, description: 'Default GA4 Measurement Protocol stream' },
+  GA4_API_SECRET: { type: 'string', default: '', secret: true, description: 'GA4 Measurement Protocol API secret' },
+  RETRY_QUEUE_MAX_ATTEMPTS: { type: 'int', default: 8, max: 100, description: 'Attempts before a forward is dead-lettered' },
+  RETRY_QUEUE_BASE_DELAY_MS: { type: 'int', default: 60000, description: 'First retry delay, doubled per attempt (ms)' },
+  RETRY_QUEUE_MAX_DELAY_MS: { type: 'int', default: 21600000, description: 'Longest retry delay (ms)' },
+  RETRY_QUEUE_BATCH_SIZE: { type: 'int', default: 50, max: 1000, description: 'Retries processed per cron run' },
+  RETRY_QUEUE_DEAD_LETTER_TTL: { type: 'int', default: 604800, max: 7776000, description: 'Dead letters older than this are purged by the cron (s)' },
+  RETRY_QUEUE_MAX_DEAD_LETTERS: { type: 'int', default: 1000, max: 100000, description: 'Dead letters kept, the oldest beyond this are purged by the cron' },
+  SCRIPT_UPDATE_CRON: { type: 'string', default: '0 */12 * * *', pattern: /^\S+( \S+){4}$/, description: 'Cron trigger that refreshes scripts' },
+  EVENT_BATCH_MAX_SIZE: { type: 'int', default: 100, max: 1000, description: 'Events accepted per /cdn/events batch' },
+  EVENT_DEDUP_ENABLED: { type: 'boolean', default: true, description: 'Drop events whose event_id / transaction_id was seen' },
+  EVENT_DEDUP_TTL: { type: 'int', default: 3600, max: 2592000, description: 'Dedup window (s)' },
+  CONSENT_MODE_ENABLED: { type: 'boolean', default: false, description: 'Apply consent to event forwards' },
+  CONSENT_DEFAULT: { type: 'enum', default: 'granted', values: ['granted', 'denied'], description: 'Consent assumed when the event carries none' },
+  SCRIPT_CONSENT_GATING_ENABLED: { type: 'boolean', default: false, description: 'Serve stubs / 204 when consent is not granted' },
+  CONSENT_COOKIE_NAME: { type: 'string', default: '_tracking_consent', description: 'Consent cookie read by the script gate' },
+  EVENT_SCHEMA_MODE: { type: 'enum', default: 'lenient', values: ['strict', 'lenient', 'off'], description: 'Ecommerce event schema validation' },
+  EVENT_SCHEMAS: { type: 'json', shape: 'object', default: {}, description: 'Event schema overrides' },
+  PII_DEFAULT_PHONE_COUNTRY_CODE: {
+    type: 'string',
+    default: '',
+    pattern: /^\+?\d{1,3}$/,
+    description: 'Country code for phones without one',
+    normalize: (code) => ({ value: code.replace(/\D/g, '') })
+  },
+  REDACTION_ENABLED: { type: 'boolean', default: false, description: 'Redact PII from proxied hit query strings and bodies' },
+  REDACTION_RULES: { type: 'json', shape: 'array', default: null, description: 'Redaction rules replacing the built-in ones' },
+  IP_POLICY: { type: 'enum', default: 'full', values: IP_POLICIES, description: 'Client IP forwarded upstream' },
+  IP_POLICY_BY_DESTINATION: {
+    type: 'json',
+    shape: 'object',
+    default: {},
+    description: 'IP_POLICY overrides per destination (gtm, ga4, meta); meta / ga4 also apply to proxied Facebook / Google hits',
+    normalize: (overrides) => keepValidValues(overrides, policy => IP_POLICIES.includes(policy), 'IP policy(ies)')
+  },
+  RATE_LIMIT_BACKEND: { type: 'enum', default: 'cache', values: ['cache', 'durable-object'], description: 'Rate limit counter store' },
+  RATE_LIMIT_KEY: { type: 'enum', default: 'ip', values: ['ip', 'prefix'], description: 'Count per IP or per /24 (/48) prefix' },
+  RATE_LIMIT_POLICIES: {
+    type: 'json',
+    shape: 'array',
+    default: null,
+    description: 'Per-route / per-client rate limit policies; none by default (RATE_LIMIT_REQUESTS for every route)',
+    normalize: (policies) => keepValidEntries(
+      policies,
+      policy => typeof policy?.name === 'string' && policy.limit > 0 && policy.windowMs > 0,
+      'policy(ies)'
+    )
+  },
+  BOT_FILTER_ENABLED: { type: 'boolean', default: false, description: 'Filter bot hits on collect endpoints and /cdn/events' },
+  BOT_FILTER_ACTION: { type: 'enum', default: 'drop', values: ['drop', 'tag'], description: 'Drop bot hits or tag them as traffic_type=bot' },
+  BOT_DENYLIST: { type: 'list', default: [], description: 'User-Agent substrings or ASNs such as AS13335 (CSV)' },
+  BOT_SCORE_THRESHOLD: { type: 'int', default: 30, max: 99, description: 'Bot Management scores below this are bots' }
+};
+
+const BOOLEANS = { true: true, false: false, 1: true, 0: false };
+
+/**
+ * @param {*} value
+ * @returns {*} Copy of arrays / plain objects so defaults are never shared
+ */
+const clone = (value) => (value && typeof value === 'object' ? structuredClone(value) : value);
+
+/**
+ * @param {ConfigField} field
+ * @returns {*} Default value (generated for secrets without one)
+ */
+export const getFieldDefault = (field) => (field.generate ? field.generate() : clone(field.default));
+
+/**
+ * @param {ConfigField} field
+ * @param {*} raw - Value from env (string, or already parsed for JSON / booleans)
+ * @returns {{value?: *, error?: string}} Parsed value, or an error; messages never include the value
+ */
+function parseField(field, raw) {
+  switch (field.type) {
+    case 'string':
+    case 'url': {
+      let value = String(raw).trim();
+      if (field.type === 'url' && value) {
+        try {
+          const url = new URL(value);
+          if (!['http:', 'https:'].includes(url.protocol)) return { error: 'must be an http(s) URL' };
+        } catch {
+          return { error: 'must be an absolute http(s) URL' };
+        }
+        value = value.replace(/\/+$/, '');
+      }
+      if (field.pattern && value && !field.pattern.test(value)) {
+        return { error: `does not match ${field.pattern}` };
+      }
+      return field.normalize ? field.normalize(value) : { value };
+    }
+
+    case 'int': {
+      const value = Number(String(raw).trim());
+      const min = field.min ?? 1;
+      const max = field.max ?? Number.MAX_SAFE_INTEGER;
+      if (!Number.isInteger(value) || value < min || value > max) {
+        return { error: field.max ? `must be an integer between ${min} and ${max}` : `must be an integer >= ${min}` };
+      }
+      return { value };
+    }
+
+    case 'boolean': {
+      const value = typeof raw === 'boolean' ? raw : BOOLEANS[String(raw).trim().toLowerCase()];
+      return value === undefined ? { error: 'must be true or false' } : { value };
+    }
+
+    case 'enum':
+      return field.values.includes(raw) ? { value: raw } : { error: `must be one of ${field.values.join(', ')}` };
+
+    case 'list':
+      return {
+        value: Array.isArray(raw)
+          ? raw.map(String)
+          : String(raw).split(',').map(entry => entry.trim()).filter(entry => entry.length > 0)
+      };
+
+    case 'json': {
+      let value;
+      try {
+        value = typeof raw === 'string' ? JSON.parse(raw) : raw;
+      } catch {
+        return { error: 'is not valid JSON' };
+      }
+      const isArray = Array.isArray(value);
+      if (field.shape === 'array' ? !isArray : (isArray || value === null || typeof value !== 'object')) {
+        return { error: `must be a JSON ${field.shape}` };
+      }
+      return field.normalize ? field.normalize(value) : { value };
+    }
+
+    default:
+      return { error: `unknown type ${field.type}` };
+  }
+}
+
+/**
+ * @typedef {Object} ConfigError
+ * @property {string} key - Variable name
+ * @property {string} message - What is wrong (never the value)
+ */
+
+/**
+ * Unset variables (undefined, or empty unless the field is a plain string / URL) are not
+ * returned, so callers keep their current value. Invalid values fall back to the default and are reported.
+ * @param {Object} env - Environment variables from Cloudflare Workers
+ * @param {Object<string, ConfigField>} [schema=CONFIG_SCHEMA]
+ * @returns {{values: Object, errors: ConfigError[]}}
+ */
+export function parseConfig(env = {}, schema = CONFIG_SCHEMA) {
+  const values = {};
+  const errors = [];
+
+  for (const [key, field] of Object.entries(schema)) {
+    const raw = env[key];
+    const keepsEmpty = (field.type === 'string' || field.type === 'url') && !field.generate;
+    if (raw === undefined || raw === null || (raw === '' && !keepsEmpty)) continue;
+
+    const { value, error } = parseField(field, raw);
+    if (error) {
+      errors.push({ key, message: error });
+    }
+    if (value !== undefined) {
+      values[key] = value;
+    } else if (error) {
+      values[key] = getFieldDefault(field);
+    }
+  }
+
+  return { values, errors };
+}
+
+/**
+ * @param {ConfigField} field
+ * @returns {string} Range / allowed values / format for the reference table
+ */
+function describeConstraints(field) {
+  if (field.type === 'int') return field.max ? `${field.min ?? 1}-${field.max}` : `>= ${field.min ?? 1}`;
+  if (field.type === 'enum') return field.values.join(' \\| ');
+  if (field.type === 'url') return 'http(s) URL';
+  if (field.type === 'json') return `JSON ${field.shape}`;
+  if (field.type === 'list') return 'comma-separated';
+  if (field.pattern) return `\`${field.pattern.source.replace(/\|/g, '\\|')}\``;
+  return '';
+}
+
+/**
+ * @param {ConfigField} field
+ * @returns {string}
+ */
+function describeDefault(field) {
+  if (field.generate) return '_random per isolate_';
+  if (field.default === null || field.default === '') return '';
+  const value = typeof field.default === 'object' ? JSON.stringify(field.default) : String(field.default);
+  return `\`${value.replace(/\|/g, '\\|')}\``;
+}
+
+/**
+ * @param {Object<string, ConfigField>} [schema=CONFIG_SCHEMA]
+ * @returns {string} Markdown table of every variable
+ */
+export function formatConfigReference(schema = CONFIG_SCHEMA) {
+  const rows = Object.entries(schema).map(([key, field]) =>
+    `| \`${key}\` | ${field.type} | ${describeDefault(field)} | ${describeConstraints(field)} | ${field.secret ? 'yes' : ''} | ${field.description.replace(/\|/g, '\\|')} |`);
+
+  return [
+    '| Variable | Type | Default | Allowed | Secret | Description |',
+    '| --- | --- | --- | --- | --- | --- |',
+    ...rows
+  ].join('\n');
+}
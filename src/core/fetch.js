@@ -4,8 +4,10 @@
  */
 
 import { CONFIG } from '../config/index.js';
+import { Metrics } from '../middleware/metrics.js';
 
 /**
+ * Records upstream_latency_ms by upstream host and outcome (status class, timeout or error).
  * @param {string} url - URL to fetch
  * @param {Object} options - Fetch options
  * @returns {Promise<Response>} Fetch response
@@ -13,19 +15,30 @@ import { CONFIG } from '../config/index.js';
 export async function fetchWithTimeout(url, options = {}) {
   const controller = new AbortController();
   const timeoutId = setTimeout(() => controller.abort(), CONFIG.FETCH_TIMEOUT);
+  const startTime = Date.now();
+  let outcome = 'error';
+  let host = 'invalid';
+  try {
+    host = new URL(url).hostname;
+  } catch {
+    // Invalid URL: fetch rejects it below with the original error
+  }
 
   try {
     const response = await fetch(url, {
       ...options,
       signal: controller.signal
     });
+    outcome = `${Math.floor(response.status / 100)}xx`;
     return response;
   } catch (error) {
     if (error?.name === 'AbortError') {
+      outcome = 'timeout';
       throw new Error('Request timeout');
     }
     throw error;
   } finally {
     clearTimeout(timeoutId);
+    Metrics.observe('upstream_latency_ms', Date.now() - startTime, { host, outcome });
   }
 }
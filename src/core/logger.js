@@ -1,44 +1,312 @@
 /**
- * @fileoverview Logger - Structured logging
+ * @fileoverview Logger - Request-scoped structured logging with sampling, redaction and transports
  * @module core/logger
+ *
+ * worker.js creates one Logger per request (trace / request ID, route class, colo) and binds it
+ * to the request context; the static methods log through it, or through a context-free Logger
+ * outside requests (cron).
  */
 
 import { CONFIG } from '../config/index.js';
 import { timestampToISO } from '../utils/time.js';
+import { truncateIP } from '../utils/ip.js';
+import { getRequestContext } from './request-context.js';
 
 const LEVELS = ['debug', 'info', 'warn', 'error'];
+const REDACTED = '[redacted]';
+
+// Field names whose values never reach a transport
+const SECRET_FIELD_PATTERN = /^(?:authorization|cookies?|password|secret|token|sig|signature|api_?key|client_id|user_id|email|phone)$|(?:_token|Token|_secret|Secret)$/;
+
+// Plain and percent-encoded addresses
+const EMAIL_PATTERN = /[a-z0-9._%+-]+(?:@|%40)[a-z0-9.-]+\.[a-z]{2,}/gi;
+const IPV4_PATTERN = /\b\d{1,3}\.\d{1,3}\.\d{1,3}\.\d{1,3}\b/g;
+// Full 8-group form or compressed (`::`), so times like 18:33:09 are left alone
+const IPV6_PATTERN = /\b(?:[0-9a-f]{1,4}:){7}[0-9a-f]{1,4}\b|\b(?:[0-9a-f]{1,4}:){1,7}:(?:[0-9a-f]{1,4}(?::[0-9a-f]{1,4}){0,6})?/gi;
+const BEARER_PATTERN = /\b(Bearer|HMAC-SHA256)\s+[^\s"',]+(?:,\s*[a-z]+=[^\s,"']+)*/gi;
+const JWT_PATTERN = /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+// Credentials and user identifiers in query strings (logged upstream / target URLs)
+const QUERY_SECRET_PATTERN = /([?&](?:token|access_token|api_secret|sig|signature|cid|uid|user_id|client_id|_?fbp|_?fbc|em|ph|external_id)=)[^&#\s"']*/gi;
+
+/**
+ * Masks emails, tokens and query identifiers, truncates IPs to /24 (IPv4) and /48 (IPv6)
+ * @param {string} value
+ * @returns {string}
+ */
+export function redactLogValue(value) {
+  return value
+    .replace(BEARER_PATTERN, `$1 ${REDACTED}`)
+    .replace(JWT_PATTERN, REDACTED)
+    .replace(QUERY_SECRET_PATTERN, `$1${REDACTED}`)
+    .replace(EMAIL_PATTERN, REDACTED)
+    .replace(IPV4_PATTERN, (ip) => truncateIP(ip) ?? ip)
+    .replace(IPV6_PATTERN, (ip) => truncateIP(ip) ?? ip);
+}
+
+/**
+ * @param {*} data - Log data
+ * @returns {*} Copy with secret fields masked and every string redacted
+ */
+function redact(data) {
+  if (typeof data === 'string') return redactLogValue(data);
+  if (data === null || typeof data !== 'object') return data;
+  if (Array.isArray(data)) return data.map(redact);
+
+  return Object.fromEntries(Object.entries(data).map(([key, value]) => [
+    key,
+    SECRET_FIELD_PATTERN.test(key) && value != null && typeof value !== 'boolean' ? REDACTED : redact(value)
+  ]));
+}
+
+/**
+ * @param {string} level
+ * @returns {boolean} Whether this level is kept, drawn from LOG_SAMPLE_RATES (default 1)
+ */
+function drawSample(level) {
+  const rate = CONFIG.LOG_SAMPLE_RATES?.[level];
+  return typeof rate !== 'number' || rate >= 1 || Math.random() < rate;
+}
+
+/**
+ * @typedef {Object} LogTransport
+ * @property {function(Object, Object|null): void} write - Receives each redacted entry and the
+ *   scope of the logger that wrote it (one per request, null outside requests)
+ * @property {function(Object|null|undefined): Promise<void>} [flush] - Sends the entries of one
+ *   scope (plus those written outside requests), every entry when the scope is undefined
+ */
+
+/**
+ * Workers Logs / `wrangler tail` (default)
+ */
+export class ConsoleLogTransport {
+  write(entry) {
+    console.log(JSON.stringify(entry));
+  }
+}
+
+/**
+ * Buffers entries per request and POSTs them as NDJSON when that request finishes (Logpush
+ * HTTP endpoint, log collector or generic webhook), so concurrent requests in the isolate
+ * never ship each other's lines. Entries written after their request was flushed
+ * (ctx.waitUntil work) are sent right away. Failures go to the console only.
+ */
+export class HttpLogTransport {
+  /**
+   * @param {string} url - Sink URL (LOG_HTTP_URL)
+   * @param {Object} [options]
+   * @param {string} [options.token] - Sent as `Authorization: Bearer` (LOG_HTTP_TOKEN)
+   * @param {number} [options.maxBuffer=500] - Entries kept per request between flushes, newer ones are dropped
+   */
+  constructor(url, { token = '', maxBuffer = 500 } = {}) {
+    this.url = url;
+    this.token = token;
+    this.maxBuffer = maxBuffer;
+    this.buffers = new Map();
+    this.flushed = new WeakSet();
+  }
+
+  write(entry, scope = null) {
+    if (scope && this.flushed.has(scope)) {
+      this.send([entry]);
+      return;
+    }
+
+    const buffer = this.buffers.get(scope) ?? [];
+    if (buffer.length >= this.maxBuffer) return;
+
+    buffer.push(entry);
+    this.buffers.set(scope, buffer);
+  }
+
+  /**
+   * @param {Object|null} [scope] - Request scope to send, every buffered entry when undefined
+   * @returns {Promise<void>}
+   */
+  async flush(scope) {
+    const scopes = scope === undefined ? [...this.buffers.keys()] : [scope, null];
+    const entries = scopes.flatMap(key => {
+      const buffer = this.buffers.get(key) ?? [];
+      this.buffers.delete(key);
+      if (key) this.flushed.add(key);
+      return buffer;
+    });
+
+    await this.send(entries);
+  }
+
+  /**
+   * @param {Object[]} entries
+   * @returns {Promise<void>}
+   */
+  async send(entries) {
+    if (entries.length === 0) return;
+
+    try {
+      const response = await fetch(this.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-ndjson',
+          ...(this.token && { Authorization: `Bearer ${this.token}` })
+        },
+        body: entries.map(entry => JSON.stringify(entry)).join('\n'),
+        signal: AbortSignal.timeout(CONFIG.FETCH_TIMEOUT ?? 10000)
+      });
+
+      if (!response.ok) {
+        console.log(JSON.stringify({ level: 'warn', message: 'Log sink rejected entries', status: response.status, dropped: entries.length }));
+      }
+    } catch (error) {
+      console.log(JSON.stringify({ level: 'warn', message: 'Log sink unreachable', error: error.message, dropped: entries.length }));
+    }
+  }
+}
+
+/**
+ * In-isolate transport for tests
+ */
+export class MemoryLogTransport {
+  constructor() {
+    this.entries = [];
+  }
+
+  write(entry) {
+    this.entries.push(entry);
+  }
+}
+
+let logTransports = null;
+
+// Used until initLogger runs (e.g. the config summary), without pinning the HTTP sink off
+const defaultLogTransports = [new ConsoleLogTransport()];
+
+/**
+ * Reads LOG_HTTP_URL / LOG_HTTP_TOKEN, call after initConfig
+ */
+export function initLogger() {
+  if (logTransports) return;
+  logTransports = CONFIG.LOG_HTTP_URL
+    ? [new ConsoleLogTransport(), new HttpLogTransport(CONFIG.LOG_HTTP_URL, { token: CONFIG.LOG_HTTP_TOKEN })]
+    : [new ConsoleLogTransport()];
+}
+
+/**
+ * @returns {LogTransport[]}
+ */
+export function getLogTransports() {
+  return logTransports ?? defaultLogTransports;
+}
+
+/**
+ * @param {LogTransport[]|null} transports - Transport adapters (null resets to lazy default)
+ */
+export function setLogTransports(transports) {
+  logTransports = transports;
+}
 
 export class Logger {
-  static _shouldLog(level) {
-    const configLevel = CONFIG.LOG_LEVEL ?? 'info';
-    return LEVELS.indexOf(level) >= LEVELS.indexOf(configLevel);
+  /**
+   * Sampling is drawn once per logger, so a sampled request keeps all its lines of that level.
+   * Each logger is its own buffering scope, shared with its children.
+   * @param {Object} [context={}] - Fields added to every entry (traceId, requestId, route, colo)
+   */
+  constructor(context = {}) {
+    this.context = context;
+    this.sampled = Object.fromEntries(LEVELS.map(level => [level, drawSample(level)]));
+    this.scope = this;
   }
 
-  static _log(level, message, data = {}) {
-    if (!this._shouldLog(level)) return;
+  /**
+   * @param {Object} fields - Extra context
+   * @returns {Logger} Logger sharing this one's sampling decisions and buffering scope
+   */
+  child(fields) {
+    const logger = new Logger({ ...this.context, ...fields });
+    logger.sampled = this.sampled;
+    logger.scope = this.scope;
+    return logger;
+  }
+
+  /**
+   * @param {string} level
+   * @param {string} message
+   * @param {Object} [data={}]
+   */
+  log(level, message, data = {}) {
+    if (!Logger._shouldLog(level) || !this.sampled[level]) return;
 
-    const logEntry = {
+    const fields = { ...this.context, ...data };
+    const entry = {
       level,
-      message,
+      message: CONFIG.LOG_REDACTION_ENABLED ? redactLogValue(message) : message,
       timestamp: timestampToISO(),
-      ...data
+      ...(CONFIG.LOG_REDACTION_ENABLED ? redact(fields) : fields)
     };
-    console.log(JSON.stringify(logEntry));
+
+    for (const transport of getLogTransports()) {
+      try {
+        transport.write(entry, this.scope);
+      } catch {
+        // A broken transport must not fail the request
+      }
+    }
+  }
+
+  debug(message, data = {}) {
+    this.log('debug', message, data);
+  }
+
+  info(message, data = {}) {
+    this.log('info', message, data);
+  }
+
+  warn(message, data = {}) {
+    this.log('warn', message, data);
+  }
+
+  error(message, data = {}) {
+    this.log('error', message, data);
+  }
+
+  static _shouldLog(level) {
+    const configLevel = CONFIG.LOG_LEVEL ?? 'info';
+    return LEVELS.indexOf(level) >= LEVELS.indexOf(configLevel);
+  }
+
+  /**
+   * @returns {Logger} The request's logger, or a new one carrying the trace IDs of the context (if any)
+   *   whose entries are sent by the next flush
+   */
+  static current() {
+    const context = getRequestContext();
+    if (context?.logger) return context.logger;
+
+    const logger = new Logger(context ? { traceId: context.traceId, requestId: context.requestId } : {});
+    logger.scope = null;
+    return logger;
+  }
+
+  /**
+   * Inside a request, sends that request's entries only; outside (cron), every buffered entry.
+   * @returns {Promise<void>} Resolves once buffering transports have sent their entries
+   */
+  static async flush() {
+    const scope = getRequestContext()?.logger?.scope;
+    await Promise.all(getLogTransports().map(transport => transport.flush?.(scope)));
   }
 
   static debug(message, data = {}) {
-    this._log('debug', message, data);
+    Logger.current().debug(message, data);
   }
 
   static info(message, data = {}) {
-    this._log('info', message, data);
+    Logger.current().info(message, data);
   }
 
   static warn(message, data = {}) {
-    this._log('warn', message, data);
+    Logger.current().warn(message, data);
   }
 
   static error(message, data = {}) {
-    this._log('error', message, data);
+    Logger.current().error(message, data);
   }
 }
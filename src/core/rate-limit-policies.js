@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Rate Limit Policies - Policy table, route classes and limiting algorithms
+ * @module core/rate-limit-policies
+ */
+
+import { CONFIG } from '../config/index.js';
+import { PATH_PREFIXES, GOOGLE_TRACKING_PARAMS } from '../utils/constants.js';
+
+/**
+ * @typedef {Object} RateLimitPolicy
+ * @property {string} name - Reported in X-RateLimit-Policy and used to separate counters
+ * @property {string[]} [routes] - Route classes (scripts, collect, events, admin, other); any when omitted
+ * @property {string[]} [countries] - CF-IPCountry codes; any when omitted
+ * @property {number[]} [asns] - request.cf.asn values; any when omitted
+ * @property {number} limit - Requests per window (token-bucket: refill per window)
+ * @property {number} windowMs - Window length in ms
+ * @property {'fixed-window'|'sliding-window'|'token-bucket'} [algorithm='fixed-window']
+ * @property {number} [burst] - token-bucket capacity (defaults to limit)
+ */
+
+/**
+ * @typedef {Object} RateLimitDecision
+ * @property {boolean} allowed
+ * @property {number} remaining - Requests left before limiting
+ * @property {number} resetAt - Epoch ms when the full quota is available again
+ * @property {Object} state - Counter state to store
+ * @property {number} expiresAt - Epoch ms after which the state can be dropped
+ */
+
+const COLLECT_LIBS = new Set(['fb-convert', 'clarity-collect', 'google-ads-conversion', 'ga-collect']);
+
+/**
+ * Mirrors Router.route without resolving the UUID maps
+ * @param {Request} request - Incoming request
+ * @returns {'scripts'|'collect'|'events'|'admin'|'other'}
+ */
+export function getRouteClass(request) {
+  const { pathname, search } = request._parsedUrl ?? new URL(request.url);
+
+  if (pathname === '/endpoints' || pathname === '/metrics' || pathname.startsWith('/admin/')) return 'admin';
+  if (pathname === '/cdn/events') return 'events';
+  if (pathname === PATH_PREFIXES.GTM_FALLBACK || pathname.startsWith('/x/')) return 'collect';
+
+  if (pathname.startsWith(PATH_PREFIXES.FACEBOOK)) {
+    return request.method === 'POST' ? 'collect' : 'scripts';
+  }
+
+  if (pathname.startsWith(PATH_PREFIXES.GOOGLE)) {
+    return GOOGLE_TRACKING_PARAMS.some(param => search.includes(param)) ? 'collect' : 'scripts';
+  }
+
+  if (pathname.startsWith('/lib/')) {
+    return COLLECT_LIBS.has(pathname.split('/')[2]) ? 'collect' : 'scripts';
+  }
+
+  if (['/cdn/', '/assets/', '/static/'].some(prefix => pathname.startsWith(prefix))) return 'scripts';
+
+  return 'other';
+}
+
+/**
+ * @returns {RateLimitPolicy} Policy built from RATE_LIMIT_REQUESTS / RATE_LIMIT_WINDOW
+ */
+export const getDefaultPolicy = () => ({
+  name: 'default',
+  limit: CONFIG.RATE_LIMIT_REQUESTS,
+  windowMs: CONFIG.RATE_LIMIT_WINDOW,
+  algorithm: 'fixed-window'
+});
+
+/**
+ * RATE_LIMIT_POLICIES is checked in order, first match wins; without a match (or without
+ * policies) the request uses RATE_LIMIT_REQUESTS / RATE_LIMIT_WINDOW.
+ * @param {Request} request - Incoming request
+ * @returns {RateLimitPolicy} First policy whose route class, country and ASN match
+ */
+export function matchPolicy(request) {
+  const routeClass = getRouteClass(request);
+  const country = request.headers.get('CF-IPCountry') ?? request.cf?.country;
+  const asn = Number(request.cf?.asn);
+  const policies = CONFIG.RATE_LIMIT_POLICIES ?? [];
+
+  const policy = policies.find(candidate =>
+    (!candidate.routes || candidate.routes.includes(routeClass)) &&
+    (!candidate.countries || candidate.countries.includes(country)) &&
+    (!candidate.asns || candidate.asns.includes(asn)));
+
+  return policy ? { algorithm: 'fixed-window', ...policy } : getDefaultPolicy();
+}
+
+/**
+ * @param {Object|null} state - Stored fixed-window state
+ * @param {RateLimitPolicy} policy
+ * @param {number} now
+ * @returns {RateLimitDecision}
+ */
+function fixedWindow(state, { limit, windowMs }, now) {
+  const window = state && now <= state.resetAt ? { ...state } : { count: 0, resetAt: now + windowMs };
+
+  const allowed = window.count + 1 <= limit;
+  if (allowed) {
+    window.count++;
+  }
+
+  return {
+    allowed,
+    remaining: Math.max(0, limit - window.count),
+    resetAt: window.resetAt,
+    state: window,
+    expiresAt: window.resetAt
+  };
+}
+
+/**
+ * Sliding window counter: the previous window's count weighted by how much of it still overlaps
+ * @param {Object|null} state - Stored sliding-window state
+ * @param {RateLimitPolicy} policy
+ * @param {number} now
+ * @returns {RateLimitDecision}
+ */
+function slidingWindow(state, { limit, windowMs }, now) {
+  let { windowStart = now, count = 0, previousCount = 0 } = state ?? {};
+
+  const elapsedWindows = Math.floor((now - windowStart) / windowMs);
+  if (elapsedWindows >= 1) {
+    previousCount = elapsedWindows === 1 ? count : 0;
+    count = 0;
+    windowStart += elapsedWindows * windowMs;
+  }
+
+  const overlap = 1 - (now - windowStart) / windowMs;
+  const estimated = previousCount * overlap + count;
+
+  const allowed = estimated + 1 <= limit;
+  if (allowed) {
+    count++;
+  }
+
+  const windowEnd = windowStart + windowMs;
+  return {
+    allowed,
+    remaining: Math.max(0, Math.floor(limit - estimated - (allowed ? 1 : 0))),
+    resetAt: windowEnd,
+    state: { windowStart, count, previousCount },
+    expiresAt: windowEnd + windowMs
+  };
+}
+
+/**
+ * @param {Object|null} state - Stored token-bucket state
+ * @param {RateLimitPolicy} policy
+ * @param {number} now
+ * @returns {RateLimitDecision}
+ */
+function tokenBucket(state, { limit, windowMs, burst }, now) {
+  const capacity = burst ?? limit;
+  const refillPerMs = limit / windowMs;
+
+  const elapsed = state ? Math.max(0, now - state.updatedAt) : 0;
+  let tokens = state ? Math.min(capacity, state.tokens + elapsed * refillPerMs) : capacity;
+
+  const allowed = tokens >= 1;
+  if (allowed) {
+    tokens -= 1;
+  }
+
+  const fullAt = now + Math.ceil((capacity - tokens) / refillPerMs);
+  return {
+    allowed,
+    remaining: Math.floor(tokens),
+    resetAt: allowed ? fullAt : now + Math.ceil((1 - tokens) / refillPerMs),
+    state: { tokens, updatedAt: now },
+    expiresAt: fullAt
+  };
+}
+
+const ALGORITHM_HANDLERS = {
+  'fixed-window': fixedWindow,
+  'sliding-window': slidingWindow,
+  'token-bucket': tokenBucket
+};
+
+/**
+ * Counts one request. Shared by every backend so they behave the same.
+ * @param {Object|null} state - Stored counter state for this client and policy
+ * @param {RateLimitPolicy} policy
+ * @param {number} [now=Date.now()]
+ * @returns {RateLimitDecision}
+ */
+export function consume(state, policy, now = Date.now()) {
+  const handler = ALGORITHM_HANDLERS[policy.algorithm] ?? fixedWindow;
+  return handler(state, policy, now);
+}
@@ -1,62 +1,167 @@
 /**
- * @fileoverview Rate Limiter - Rate limiting by IP using Cloudflare Cache API
+ * @fileoverview Rate Limiter - Per-policy rate limiting by IP using the Cache API or a Durable Object
  * @module core/rate-limiter
  */
 
 import { CONFIG } from '../config/index.js';
 import { Logger } from './logger.js';
+import { truncateIP } from '../utils/ip.js';
+import { consume, matchPolicy, getDefaultPolicy } from './rate-limit-policies.js';
 
-export class RateLimiter {
-  static async check(ip) {
-    const key = `ratelimit:${ip}`;
-    const now = Date.now();
+const DURABLE_OBJECT_BASE = 'https://rate-limiter.internal';
 
-    try {
-      const cache = caches.default;
-      const cacheKey = new Request(`https://internal/${key}`);
-      const cached = await cache.match(cacheKey);
+/**
+ * @typedef {Object} RateLimitHit
+ * @property {boolean} allowed - Request fits in the policy
+ * @property {number} remaining - Requests left before limiting
+ * @property {number} resetAt - Epoch ms when the full quota is available again
+ */
 
-      let data = { count: 0, resetAt: now + CONFIG.RATE_LIMIT_WINDOW };
+/**
+ * Cache API store (per-colo, not atomic, default)
+ */
+export class CacheRateLimitStore {
+  /**
+   * @param {string} key - Policy and client key
+   * @param {import('./rate-limit-policies.js').RateLimitPolicy} policy
+   * @returns {Promise<RateLimitHit>}
+   */
+  async hit(key, policy) {
+    const cache = caches.default;
+    const cacheKey = new Request(`https://internal/ratelimit:${key}`);
+    const cached = await cache.match(cacheKey);
 
-      if (cached) {
-        data = await cached.json();
+    const now = Date.now();
+    const { allowed, remaining, resetAt, state, expiresAt } = consume(cached ? await cached.json() : null, policy, now);
 
-        if (now > data.resetAt) {
-          data = { count: 0, resetAt: now + CONFIG.RATE_LIMIT_WINDOW };
+    if (allowed || policy.algorithm !== 'fixed-window') {
+      const response = new Response(JSON.stringify(state), {
+        headers: {
+          'Cache-Control': `max-age=${Math.max(1, Math.ceil((expiresAt - now) / 1000))}`,
+          'Content-Type': 'application/json'
         }
-      }
+      });
+      await cache.put(cacheKey, response);
+    }
+
+    return { allowed, remaining, resetAt };
+  }
+}
+
+/**
+ * Client for the RateLimiterDurableObject: one instance per client key, atomic increments
+ */
+export class DurableObjectRateLimitStore {
+  /**
+   * @param {DurableObjectNamespace} namespace - RATE_LIMITER binding
+   */
+  constructor(namespace) {
+    this.namespace = namespace;
+  }
+
+  /**
+   * @param {string} key - Policy and client key
+   * @param {import('./rate-limit-policies.js').RateLimitPolicy} policy
+   * @returns {Promise<RateLimitHit>}
+   */
+  async hit(key, policy) {
+    const stub = this.namespace.get(this.namespace.idFromName(key));
+    const response = await stub.fetch(`${DURABLE_OBJECT_BASE}/hit`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ policy })
+    });
+
+    if (!response.ok) {
+      throw new Error(`Rate limiter hit failed: HTTP ${response.status}`);
+    }
+
+    return response.json();
+  }
+}
+
+const fallbackStore = new CacheRateLimitStore();
+let rateLimitStore = null;
 
-      const wouldBeAllowed = (data.count + 1) <= CONFIG.RATE_LIMIT_REQUESTS;
+/**
+ * @param {Object} env - Environment bindings from Cloudflare Workers
+ */
+export function initRateLimiter(env = {}) {
+  if (rateLimitStore) return;
+
+  if (CONFIG.RATE_LIMIT_BACKEND === 'durable-object') {
+    if (env.RATE_LIMITER) {
+      rateLimitStore = new DurableObjectRateLimitStore(env.RATE_LIMITER);
+      return;
+    }
+    Logger.warn('RATE_LIMIT_BACKEND is durable-object but RATE_LIMITER binding is missing, using Cache API');
+  }
 
-      if (wouldBeAllowed) {
-        data.count++;
+  rateLimitStore = fallbackStore;
+}
 
-        const response = new Response(JSON.stringify(data), {
-          headers: {
-            'Cache-Control': `max-age=${Math.ceil(CONFIG.RATE_LIMIT_WINDOW / 1000)}`,
-            'Content-Type': 'application/json'
-          }
-        });
-        await cache.put(cacheKey, response);
-      }
+/**
+ * @param {CacheRateLimitStore|DurableObjectRateLimitStore|null} store - Store adapter (null resets to lazy default)
+ */
+export function setRateLimitStore(store) {
+  rateLimitStore = store;
+}
 
-      const remaining = Math.max(0, CONFIG.RATE_LIMIT_REQUESTS - data.count);
+/**
+ * @param {string} ip - Client IP
+ * @returns {string} Rate limit key: the IP, or its /24 (IPv4) / /48 (IPv6) prefix
+ */
+const getClientKey = (ip) =>
+  CONFIG.RATE_LIMIT_KEY === 'prefix' ? truncateIP(ip) ?? ip : ip;
+
+export class RateLimiter {
+  /**
+   * @param {string} ip - Client IP
+   * @param {Request} [request] - Incoming request, selects the policy (route class, country, ASN)
+   * @returns {Promise<{allowed: boolean, remaining: number, resetAt: number, limit: number, policy: Object}>}
+   */
+  static async check(ip, request = null) {
+    const now = Date.now();
+    const policy = request ? matchPolicy(request) : getDefaultPolicy();
+    const key = `${policy.name}:${policy.algorithm}:${getClientKey(ip)}`;
+    const store = rateLimitStore ?? fallbackStore;
+
+    try {
+      const { allowed, remaining, resetAt } = await RateLimiter._hit(store, key, policy);
 
       return {
-        allowed: wouldBeAllowed,
+        allowed,
         remaining,
-        resetAt: data.resetAt,
-        limit: CONFIG.RATE_LIMIT_REQUESTS
+        resetAt,
+        limit: policy.limit,
+        policy
       };
 
     } catch (error) {
       Logger.error('Rate limit check failed', { error: error?.message });
       return {
         allowed: true,
-        remaining: CONFIG.RATE_LIMIT_REQUESTS,
+        remaining: policy.limit,
         resetAt: now,
-        limit: CONFIG.RATE_LIMIT_REQUESTS
+        limit: policy.limit,
+        policy
       };
     }
   }
+
+  /**
+   * Falls back to the Cache API when the Durable Object is unreachable
+   */
+  static async _hit(store, key, policy) {
+    if (store === fallbackStore) {
+      return store.hit(key, policy);
+    }
+
+    try {
+      return await store.hit(key, policy);
+    } catch (error) {
+      Logger.warn('Rate limiter backend unavailable, using Cache API', { error: error?.message });
+      return fallbackStore.hit(key, policy);
+    }
+  }
 }
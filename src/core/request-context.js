@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Request Context - Trace and request IDs for the request being handled
+ * @module core/request-context
+ *
+ * The context is bound with AsyncLocalStorage (nodejs_compat), so Logger and upstream
+ * calls read it without threading it through every handler.
+ */
+
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+const storage = new AsyncLocalStorage();
+
+// W3C Trace Context: version-traceid-parentid-flags
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+const INVALID_TRACE_ID = '0'.repeat(32);
+const INVALID_SPAN_ID = '0'.repeat(16);
+
+/**
+ * @typedef {Object} RequestContext
+ * @property {string} traceId - 32 hex chars, shared by every hop of the trace
+ * @property {string} spanId - 16 hex chars, this worker's span
+ * @property {string|null} parentSpanId - Span of the caller, from traceparent
+ * @property {string} traceFlags - 2 hex chars (`01` = sampled)
+ * @property {string} requestId - Incoming X-Request-Id, or the trace ID
+ * @property {import('./logger.js').Logger} [logger] - Request logger, bound by worker.js
+ */
+
+/**
+ * @param {number} bytes
+ * @returns {string} Random lowercase hex
+ */
+const randomHex = (bytes) => Array.from(crypto.getRandomValues(new Uint8Array(bytes)))
+  .map(byte => byte.toString(16).padStart(2, '0'))
+  .join('');
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.traceId] - Trace to join, a new one when missing
+ * @param {string} [options.parentSpanId]
+ * @param {string} [options.traceFlags='01']
+ * @param {string} [options.requestId] - Defaults to the trace ID
+ * @returns {RequestContext}
+ */
+export function createTraceContext({ traceId, parentSpanId = null, traceFlags = '01', requestId } = {}) {
+  const resolvedTraceId = traceId ?? randomHex(16);
+
+  return {
+    traceId: resolvedTraceId,
+    spanId: randomHex(8),
+    parentSpanId,
+    traceFlags,
+    requestId: requestId ?? resolvedTraceId
+  };
+}
+
+/**
+ * Joins the caller's trace from `traceparent` and keeps its `X-Request-Id`. A UUID
+ * request ID without traceparent becomes the trace ID, so both show up in the logs.
+ * @param {Request} request - Incoming request
+ * @returns {RequestContext}
+ */
+export function createRequestContext(request) {
+  const incomingRequestId = request.headers.get('X-Request-Id')?.trim();
+  const requestId = incomingRequestId && REQUEST_ID_PATTERN.test(incomingRequestId) ? incomingRequestId : undefined;
+
+  const traceparent = TRACEPARENT_PATTERN.exec(request.headers.get('traceparent')?.trim().toLowerCase() ?? '');
+  if (traceparent && traceparent[1] !== INVALID_TRACE_ID && traceparent[2] !== INVALID_SPAN_ID) {
+    const [, traceId, parentSpanId, traceFlags] = traceparent;
+    return createTraceContext({ traceId, parentSpanId, traceFlags, requestId });
+  }
+
+  const uuidHex = requestId?.replace(/-/g, '').toLowerCase();
+  const traceId = uuidHex && /^[0-9a-f]{32}$/.test(uuidHex) && uuidHex !== INVALID_TRACE_ID ? uuidHex : undefined;
+
+  return createTraceContext({ traceId, requestId });
+}
+
+/**
+ * @template T
+ * @param {RequestContext} context
+ * @param {() => T} callback
+ * @returns {T}
+ */
+export const runWithRequestContext = (context, callback) => storage.run(context, callback);
+
+/**
+ * @returns {RequestContext|null} Context of the request being handled, null outside one (cron)
+ */
+export const getRequestContext = () => storage.getStore() ?? null;
+
+/**
+ * @returns {Object<string, string>} traceparent and X-Request-Id for upstream calls, empty outside a request
+ */
+export function getTraceHeaders() {
+  const context = getRequestContext();
+  if (!context) return {};
+
+  return {
+    traceparent: `00-${context.traceId}-${context.spanId}-${context.traceFlags}`,
+    'X-Request-Id': context.requestId
+  };
+}
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Rate Limiter Durable Object - One instance per client and policy, atomic counter updates
+ * @module durable-objects/rate-limiter
+ */
+
+import { consume } from '../core/rate-limit-policies.js';
+import { jsonResponse } from '../utils/response.js';
+
+const STATE_KEY = 'state';
+
+export class RateLimiterDurableObject {
+  /**
+   * @param {DurableObjectState} state
+   */
+  constructor(state) {
+    this.storage = state.storage;
+  }
+
+  /**
+   * @param {Request} request - POST /hit with { policy }
+   * @returns {Promise<Response>}
+   */
+  async fetch(request) {
+    if (new URL(request.url).pathname !== '/hit' || request.method !== 'POST') {
+      return new Response('Not found', { status: 404 });
+    }
+
+    try {
+      const { policy } = await request.json();
+
+      // No other I/O between get and put, so the input gate keeps the update atomic
+      const stored = await this.storage.get(STATE_KEY);
+      const { allowed, remaining, resetAt, state, expiresAt } = consume(stored ?? null, policy);
+
+      await this.storage.put(STATE_KEY, { ...state, expiresAt });
+      await this.storage.setAlarm(expiresAt);
+
+      return jsonResponse({ allowed, remaining, resetAt });
+    } catch (error) {
+      return new Response(error.message, { status: 500 });
+    }
+  }
+
+  /**
+   * Drops the counter once it has expired so idle clients leave no storage behind
+   */
+  async alarm() {
+    const stored = await this.storage.get(STATE_KEY);
+    if (!stored || Date.now() >= stored.expiresAt) {
+      await this.storage.deleteAll();
+    }
+  }
+}
@@ -0,0 +1,48 @@
+/**
+ * @fileoverview Retry Queue Durable Object - Single global instance holding failed event forwards
+ * @module durable-objects/retry-queue
+ */
+
+import { RetryQueueStore } from '../events/retry-queue.js';
+import { jsonResponse } from '../utils/response.js';
+
+const OPERATIONS = {
+  enqueue: (store, { job }) => store.enqueue(job),
+  due: (store, { now, limit }) => store.due(now, limit),
+  update: (store, { job }) => store.update(job),
+  remove: (store, { id }) => store.remove(id),
+  deadLetter: (store, { job }) => store.deadLetter(job),
+  listDeadLetters: (store, { limit }) => store.listDeadLetters(limit),
+  replayDeadLetter: (store, { id }) => store.replayDeadLetter(id),
+  purgeDeadLetters: (store, { now, retention }) => store.purgeDeadLetters(now, retention),
+  stats: (store) => store.stats()
+};
+
+export class RetryQueueDurableObject {
+  /**
+   * @param {DurableObjectState} state
+   */
+  constructor(state) {
+    this.store = new RetryQueueStore(state.storage);
+  }
+
+  /**
+   * @param {Request} request - POST /{operation} with JSON arguments
+   * @returns {Promise<Response>}
+   */
+  async fetch(request) {
+    const operation = OPERATIONS[new URL(request.url).pathname.slice(1)];
+
+    if (!operation || request.method !== 'POST') {
+      return new Response('Not found', { status: 404 });
+    }
+
+    try {
+      const args = await request.json().catch(() => ({}));
+      const result = await operation(this.store, args);
+      return jsonResponse(result ?? null);
+    } catch (error) {
+      return new Response(error.message, { status: 500 });
+    }
+  }
+}
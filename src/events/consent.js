@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Consent - Google Consent Mode v2 and Shopify customerPrivacy enforcement for event destinations
+ * @module events/consent
+ */
+
+import { CONFIG } from '../config/index.js';
+import { PII_FIELDS } from './pii.js';
+
+export const CONSENT_TYPES = ['ad_storage', 'analytics_storage', 'ad_user_data', 'ad_personalization'];
+
+/**
+ * Shopify customerPrivacy flags and the Consent Mode types they grant
+ */
+const CUSTOMER_PRIVACY_MAPPING = {
+  analytics_storage: ['analyticsProcessingAllowed'],
+  ad_storage: ['marketingAllowed'],
+  ad_user_data: ['marketingAllowed'],
+  ad_personalization: ['marketingAllowed', 'saleOfDataAllowed']
+};
+
+/**
+ * Event fields that identify the visitor and are removed on redaction
+ */
+const IDENTIFIER_FIELDS = ['user_id', 'user_data', 'fbp', 'fbc', ...Object.keys(PII_FIELDS)];
+
+/**
+ * @typedef {Object} ConsentPolicy
+ * @property {string[]} requires - Consent types that must be granted, otherwise the event is dropped
+ * @property {string[]} redactUnless - Consent types that must be granted, otherwise identifiers are redacted
+ */
+
+/**
+ * @typedef {Object} ConsentDecision
+ * @property {'forward'|'redact'|'drop'} action
+ * @property {Object} eventData - Event data to build the payload from
+ * @property {Object} clientInfo - Client information to forward
+ * @property {string[]} [denied] - Consent types that caused the decision
+ */
+
+/**
+ * @param {*} value - 'granted' | 'denied' | boolean
+ * @returns {boolean|undefined}
+ */
+function parseConsentValue(value) {
+  if (value === true || value === 'granted') return true;
+  if (value === false || value === 'denied') return false;
+  return undefined;
+}
+
+/**
+ * Combines Consent Mode v2 signals (`consent`) and Shopify `customer_privacy`; when both are
+ * present the most restrictive value wins, missing signals fall back to CONSENT_DEFAULT.
+ * @param {Object} eventData - Event data from client
+ * @returns {Object<string, boolean>} Granted flag per consent type
+ */
+export function getConsentState(eventData) {
+  const fallback = CONFIG.CONSENT_DEFAULT === 'granted';
+  const consent = eventData?.consent ?? {};
+  const privacy = eventData?.customer_privacy;
+
+  return Object.fromEntries(CONSENT_TYPES.map(type => {
+    const signals = [parseConsentValue(consent[type])];
+
+    if (privacy && typeof privacy === 'object') {
+      signals.push(...CUSTOMER_PRIVACY_MAPPING[type].map(flag => parseConsentValue(privacy[flag])));
+    }
+
+    const known = signals.filter(signal => signal !== undefined);
+    return [type, known.length > 0 ? known.every(Boolean) : fallback];
+  }));
+}
+
+/**
+ * @param {Object} eventData - Event data from client
+ * @returns {boolean} True when the event carries consent signals
+ */
+export const hasConsentSignals = (eventData) =>
+  Boolean(eventData?.consent || eventData?.customer_privacy);
+
+/**
+ * @param {Object} eventData - Event data from client
+ * @returns {string[]} Validation errors for the consent fields
+ */
+export function validateConsentFields(eventData) {
+  const errors = [];
+  const { consent, customer_privacy: privacy } = eventData ?? {};
+
+  if (consent !== undefined) {
+    if (!consent || typeof consent !== 'object' || Array.isArray(consent)) {
+      errors.push('consent must be an object');
+    } else {
+      for (const type of CONSENT_TYPES) {
+        if (consent[type] !== undefined && parseConsentValue(consent[type]) === undefined) {
+          errors.push(`consent.${type} must be 'granted' or 'denied'`);
+        }
+      }
+    }
+  }
+
+  if (privacy !== undefined && (!privacy || typeof privacy !== 'object' || Array.isArray(privacy))) {
+    errors.push('customer_privacy must be an object');
+  }
+
+  return errors;
+}
+
+/**
+ * @param {import('./destinations.js').EventDestination} destination
+ * @param {Object} eventData - Validated event data
+ * @param {Object} clientInfo - Client information (IP, UA, referer, cookies)
+ * @returns {ConsentDecision}
+ */
+export function applyConsent(destination, eventData, clientInfo) {
+  if (!CONFIG.CONSENT_MODE_ENABLED || !destination.consent) {
+    return { action: 'forward', eventData, clientInfo };
+  }
+
+  const state = getConsentState(eventData);
+  const { requires = [], redactUnless = [] } = destination.consent;
+
+  const missing = requires.filter(type => !state[type]);
+  if (missing.length > 0) {
+    return { action: 'drop', eventData, clientInfo, denied: missing };
+  }
+
+  const redactFor = redactUnless.filter(type => !state[type]);
+  if (redactFor.length > 0) {
+    return {
+      action: 'redact',
+      ...redactIdentifiers(eventData, clientInfo, { anonymizeClient: !state.analytics_storage }),
+      denied: redactFor
+    };
+  }
+
+  return { action: 'forward', eventData, clientInfo };
+}
+
+/**
+ * @param {Object} eventData
+ * @param {Object} clientInfo
+ * @param {{anonymizeClient: boolean}} options - Also replace client_id / session_id (analytics_storage denied)
+ * @returns {{eventData: Object, clientInfo: Object}} Copies without visitor identifiers
+ */
+function redactIdentifiers(eventData, clientInfo, { anonymizeClient }) {
+  const redacted = { ...eventData };
+
+  for (const field of IDENTIFIER_FIELDS) {
+    delete redacted[field];
+  }
+
+  if (anonymizeClient) {
+    redacted.client_id = `anon.${crypto.randomUUID()}`;
+    delete redacted.session_id;
+  }
+
+  return {
+    eventData: redacted,
+    clientInfo: { ...clientInfo, clientIP: 'unknown', cookies: {} }
+  };
+}
+
+/**
+ * @param {Object} eventData - Event data from client
+ * @returns {{ad_user_data: string, ad_personalization: string}|null} GA4 Measurement Protocol consent field
+ */
+export function buildGA4Consent(eventData) {
+  if (!hasConsentSignals(eventData)) {
+    return null;
+  }
+
+  const state = getConsentState(eventData);
+  return {
+    ad_user_data: state.ad_user_data ? 'GRANTED' : 'DENIED',
+    ad_personalization: state.ad_personalization ? 'GRANTED' : 'DENIED'
+  };
+}
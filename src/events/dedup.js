@@ -0,0 +1,198 @@
+/**
+ * @fileoverview Event Deduplication - Short-lived store of seen event_id / transaction_id keys
+ * @module events/dedup
+ */
+
+import { CONFIG } from '../config/index.js';
+import { Logger } from '../core/logger.js';
+import { CacheManager } from '../core/cache.js';
+import { generateSHA256 } from '../utils/crypto.js';
+
+const CACHE_PREFIX = 'https://cache.internal/event-dedup/';
+const KV_PREFIX = 'event-dedup:';
+// Workers KV rejects expirationTtl below 60 seconds
+const KV_MIN_TTL = 60;
+
+/**
+ * Shopify Customer Events that describe the same action as a GA4 event, so the
+ * theme bridge (GA4 names) and the checkout pixel (Shopify names) share keys.
+ */
+const EVENT_NAME_ALIASES = {
+  checkout_completed: 'purchase',
+  checkout_started: 'begin_checkout',
+  payment_info_submitted: 'add_payment_info',
+  product_added_to_cart: 'add_to_cart',
+  product_viewed: 'view_item',
+  page_viewed: 'page_view',
+  search_submitted: 'search'
+};
+
+/**
+ * @typedef {Object} DedupClaim
+ * @property {string|null} key - Dedup key, null when the event carries no identifier
+ * @property {boolean} duplicate - Key was already seen within EVENT_DEDUP_TTL
+ */
+
+/**
+ * @param {Object} eventData - Validated event data
+ * @returns {string|null} Dedup key or null if the event has no event_id / transaction_id
+ */
+export function getDedupKey(eventData) {
+  const eventName = EVENT_NAME_ALIASES[eventData.event_name] ?? eventData.event_name;
+
+  if (eventData.transaction_id) {
+    return `txn:${eventName}:${eventData.transaction_id}`;
+  }
+
+  if (eventData.event_id) {
+    return `evt:${eventData.event_id}`;
+  }
+
+  return null;
+}
+
+/**
+ * Cache API store (per-colo, default)
+ */
+export class CacheDedupStore {
+  async has(key) {
+    return (await CacheManager.get(`${CACHE_PREFIX}${key}`)) != null;
+  }
+
+  async add(key, ttl) {
+    await CacheManager.put(`${CACHE_PREFIX}${key}`, new Response('1'), ttl);
+  }
+
+  async delete(key) {
+    await CacheManager.delete(`${CACHE_PREFIX}${key}`);
+  }
+}
+
+/**
+ * Workers KV store (global, eventually consistent)
+ */
+export class KVDedupStore {
+  /**
+   * @param {KVNamespace} namespace - EVENT_DEDUP_KV binding
+   */
+  constructor(namespace) {
+    this.kv = namespace;
+  }
+
+  async has(key) {
+    return (await this.kv.get(`${KV_PREFIX}${key}`)) != null;
+  }
+
+  async add(key, ttl) {
+    await this.kv.put(`${KV_PREFIX}${key}`, '1', { expirationTtl: Math.max(ttl, KV_MIN_TTL) });
+  }
+
+  async delete(key) {
+    await this.kv.delete(`${KV_PREFIX}${key}`);
+  }
+}
+
+/**
+ * In-isolate store for tests
+ */
+export class MemoryDedupStore {
+  constructor() {
+    this.expiries = new Map();
+  }
+
+  async has(key) {
+    const expiresAt = this.expiries.get(key);
+    return expiresAt !== undefined && expiresAt > Date.now();
+  }
+
+  async add(key, ttl) {
+    this.expiries.set(key, Date.now() + ttl * 1000);
+  }
+
+  async delete(key) {
+    this.expiries.delete(key);
+  }
+}
+
+let dedupStore = null;
+
+/**
+ * @param {Object} env - Environment bindings from Cloudflare Workers
+ */
+export function initDedupStore(env = {}) {
+  if (dedupStore) return;
+  dedupStore = env.EVENT_DEDUP_KV ? new KVDedupStore(env.EVENT_DEDUP_KV) : new CacheDedupStore();
+}
+
+/**
+ * @returns {CacheDedupStore|KVDedupStore|MemoryDedupStore}
+ */
+export function getDedupStore() {
+  if (!dedupStore) {
+    dedupStore = new CacheDedupStore();
+  }
+  return dedupStore;
+}
+
+/**
+ * @param {CacheDedupStore|KVDedupStore|MemoryDedupStore|null} store - Store adapter (null resets to lazy default)
+ */
+export function setDedupStore(store) {
+  dedupStore = store;
+}
+
+/**
+ * Marks events as seen and flags the ones already seen, including repeats inside the same list.
+ * @param {Object[]} events - Validated events
+ * @returns {Promise<DedupClaim[]>} One claim per event, same order
+ */
+export async function claimEvents(events) {
+  if (!CONFIG.EVENT_DEDUP_ENABLED) {
+    return events.map(() => ({ key: null, duplicate: false }));
+  }
+
+  const store = getDedupStore();
+  const seenInRequest = new Set();
+
+  const keys = await Promise.all(events.map(async (eventData) => {
+    const key = getDedupKey(eventData);
+    return key ? generateSHA256(key) : null;
+  }));
+
+  return Promise.all(keys.map(async (key) => {
+    if (!key) {
+      return { key: null, duplicate: false };
+    }
+
+    if (seenInRequest.has(key)) {
+      return { key, duplicate: true };
+    }
+    seenInRequest.add(key);
+
+    try {
+      if (await store.has(key)) {
+        return { key, duplicate: true };
+      }
+      await store.add(key, CONFIG.EVENT_DEDUP_TTL);
+    } catch (error) {
+      Logger.warn('Event dedup store unavailable, forwarding anyway', { error: error.message });
+    }
+
+    return { key, duplicate: false };
+  }));
+}
+
+/**
+ * Forgets claims for events that no destination accepted, so a client retry is not dropped.
+ * @param {DedupClaim[]} claims
+ * @returns {Promise<void>}
+ */
+export async function releaseClaims(claims) {
+  const store = getDedupStore();
+
+  await Promise.all(claims
+    .filter(claim => claim.key && !claim.duplicate)
+    .map(claim => store.delete(claim.key).catch(error => {
+      Logger.warn('Failed to release event dedup key', { error: error.message });
+    })));
+}
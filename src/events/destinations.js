@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Event Destinations - Registry of server-side event forwarding targets
+ * @module events/destinations
+ */
+
+import { CONFIG } from '../config/index.js';
+import { getTraceHeaders } from '../core/request-context.js';
+import { buildGA4Payload, getGA4BatchKey, mergeGA4Payloads, GA4_MAX_BATCH_SIZE } from './ga4.js';
+import {
+  buildMetaCAPIPayload,
+  getMetaCAPIUrl,
+  isMetaCAPIEnabled,
+  mergeMetaCAPIPayloads,
+  META_MAX_BATCH_SIZE
+} from './meta-capi.js';
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} retries - Extra attempts after the first one
+ * @property {number} backoffMs - Base delay, doubled on every attempt
+ */
+
+/**
+ * @typedef {Object} BatchPolicy
+ * @property {number} maxSize - Max events per upstream request
+ * @property {(eventData: Object) => string} key - Events with the same key may share a request
+ * @property {(payloads: Object[]) => Object} merge - Combines per-event payloads into one request body
+ */
+
+/**
+ * @typedef {Object} EventDestination
+ * @property {string} name - Destination identifier used in EVENT_DESTINATIONS and responses
+ * @property {() => boolean} isEnabled - Whether required config is present
+ * @property {(eventData: Object, clientInfo: Object) => Object|null|Promise<Object|null>} buildPayload - Request body, or null to skip the event
+ * @property {(eventData: Object) => string|null} getUrl - Target URL, or null to skip the event
+ * @property {(clientInfo: Object) => {headers?: Object, query?: Object}} auth - Credentials and forwarding headers
+ * @property {RetryPolicy} retry - Retry policy for transient failures
+ * @property {BatchPolicy} [batch] - Present when the upstream accepts several events per request
+ * @property {import('./consent.js').ConsentPolicy} [consent] - Consent types required to forward or keep identifiers
+ * @property {import('./pii.js').PiiPolicy} [pii] - How customer data reaches the upstream (default: strip)
+ */
+
+const DEFAULT_RETRY = { retries: 1, backoffMs: 250 };
+
+/** @type {Map<string, EventDestination>} */
+const registry = new Map();
+
+/**
+ * @param {EventDestination} destination - Destination definition
+ */
+export function registerDestination(destination) {
+  if (!destination?.name || typeof destination.buildPayload !== 'function' || typeof destination.getUrl !== 'function') {
+    throw new Error('Destination requires name, buildPayload and getUrl');
+  }
+
+  registry.set(destination.name, {
+    isEnabled: () => true,
+    auth: () => ({}),
+    ...destination,
+    retry: { ...DEFAULT_RETRY, ...destination.retry },
+    batch: destination.batch ?? null,
+    consent: destination.consent ?? null,
+    pii: destination.pii ?? { mode: 'strip' }
+  });
+}
+
+/**
+ * @param {string} name - Destination name
+ * @returns {EventDestination|undefined}
+ */
+export const getDestination = (name) => registry.get(name);
+
+/**
+ * @returns {EventDestination[]} Destinations listed in EVENT_DESTINATIONS whose config is complete
+ */
+export function getEnabledDestinations() {
+  return CONFIG.EVENT_DESTINATIONS
+    .map(name => registry.get(name))
+    .filter(destination => destination?.isEnabled());
+}
+
+// ============= BUILT-IN DESTINATIONS =============
+
+registerDestination({
+  name: 'gtm',
+  isEnabled: () => Boolean(CONFIG.GTM_SERVER_URL),
+  buildPayload: buildGA4Payload,
+  getUrl: () => `${CONFIG.GTM_SERVER_URL}/g/collect`,
+  auth: ({ clientIP, userAgent, referer, country }) => ({
+    headers: {
+      'User-Agent': userAgent,
+      ...(clientIP !== 'unknown' && { 'X-Forwarded-For': clientIP }),
+      ...(country && { 'X-Country': country }),
+      'Referer': referer,
+      ...getTraceHeaders()
+    }
+  }),
+  retry: { retries: 1, backoffMs: 250 },
+  batch: { maxSize: GA4_MAX_BATCH_SIZE, key: getGA4BatchKey, merge: mergeGA4Payloads },
+  consent: { requires: [], redactUnless: ['analytics_storage', 'ad_user_data'] },
+  pii: { mode: 'strip' }
+});
+
+registerDestination({
+  name: 'ga4',
+  isEnabled: () => Boolean(CONFIG.GA4_API_SECRET),
+  buildPayload: (eventData, clientInfo) => {
+    const { measurement_id: _measurementId, ...payload } = buildGA4Payload(eventData, clientInfo);
+    return payload;
+  },
+  getUrl: (eventData) => {
+    const measurementId = eventData.measurement_id ?? CONFIG.GA4_MEASUREMENT_ID;
+    return measurementId
+      ? `https://www.google-analytics.com/mp/collect?measurement_id=${encodeURIComponent(measurementId)}`
+      : null;
+  },
+  auth: ({ userAgent }) => ({
+    headers: { 'User-Agent': userAgent },
+    query: { api_secret: CONFIG.GA4_API_SECRET }
+  }),
+  retry: { retries: 2, backoffMs: 250 },
+  batch: { maxSize: GA4_MAX_BATCH_SIZE, key: getGA4BatchKey, merge: mergeGA4Payloads },
+  consent: { requires: [], redactUnless: ['analytics_storage', 'ad_user_data'] },
+  pii: { mode: 'strip' }
+});
+
+registerDestination({
+  name: 'meta',
+  isEnabled: isMetaCAPIEnabled,
+  buildPayload: buildMetaCAPIPayload,
+  getUrl: getMetaCAPIUrl,
+  auth: ({ userAgent }) => ({
+    headers: { 'User-Agent': userAgent },
+    query: { access_token: CONFIG.META_ACCESS_TOKEN }
+  }),
+  retry: { retries: 1, backoffMs: 500 },
+  batch: { maxSize: META_MAX_BATCH_SIZE, key: () => 'all', merge: mergeMetaCAPIPayloads },
+  consent: { requires: ['ad_storage', 'ad_user_data'], redactUnless: [] },
+  pii: { mode: 'hash' }
+});
@@ -0,0 +1,362 @@
+/**
+ * @fileoverview Event Dispatcher - Fans out events to every enabled destination
+ * @module events/dispatcher
+ */
+
+import { Logger } from '../core/logger.js';
+import { CONFIG, getIpPolicy } from '../config/index.js';
+import { getEnabledDestinations } from './destinations.js';
+import { applyConsent } from './consent.js';
+import { applyPiiPolicy } from './pii.js';
+import { anonymizeIP } from '../utils/ip.js';
+import { Metrics } from '../middleware/metrics.js';
+
+// Cookies read by destination payload builders (Meta fbp / fbc), the only ones kept for retries
+const RETRY_COOKIES = ['_fbp', '_fbc'];
+
+/**
+ * @typedef {Object} DestinationResult
+ * @property {string} destination - Destination name
+ * @property {boolean} accepted - Upstream returned 2xx
+ * @property {boolean} [skipped] - Event was not sent (see reason)
+ * @property {number} [status] - Last upstream HTTP status (0 on network error)
+ * @property {number} [attempts] - Number of attempts made
+ * @property {number} [duration] - Total time spent in ms
+ * @property {string} [error] - Failure reason
+ * @property {boolean} [retryable] - Failure was transient (timeout, network, 408, 429, 5xx)
+ * @property {number} [batchSize] - Events sent in the same upstream request
+ * @property {string} [reason] - Why the event was skipped ('consent' or 'unsupported')
+ * @property {boolean} [redacted] - Identifiers were removed because of consent
+ */
+
+/**
+ * @param {Object} eventData - Validated event data
+ * @param {Object} clientInfo - Client information (IP, UA, referer, cookies)
+ * @param {import('./destinations.js').EventDestination[]} [destinations] - Defaults to enabled destinations
+ * @returns {Promise<DestinationResult[]>} One result per destination
+ */
+export async function dispatchEvent(eventData, clientInfo, destinations = getEnabledDestinations()) {
+  const [results] = await dispatchEvents([eventData], clientInfo, destinations);
+  return results;
+}
+
+/**
+ * Sends several events, grouping them into one upstream request per destination where
+ * the destination declares a batch policy.
+ * @param {Object[]} events - Validated events
+ * @param {Object} clientInfo - Client information (IP, UA, referer, cookies)
+ * @param {import('./destinations.js').EventDestination[]} [destinations] - Defaults to enabled destinations
+ * @returns {Promise<DestinationResult[][]>} Results indexed by event, then by destination
+ */
+export async function dispatchEvents(events, clientInfo, destinations = getEnabledDestinations()) {
+  const perDestination = await Promise.all(
+    destinations.map(destination => dispatchToDestination(destination, events, clientInfo))
+  );
+
+  return events.map((_, index) => perDestination.map(results => results[index]));
+}
+
+/**
+ * @param {import('./destinations.js').EventDestination} destination
+ * @param {Object} eventData
+ * @param {Object} clientInfo
+ * @param {Object} [options]
+ * @param {number} [options.retries] - Overrides the destination retry count
+ * @returns {Promise<DestinationResult>}
+ */
+export async function forwardToDestination(destination, eventData, clientInfo, { retries = destination.retry.retries } = {}) {
+  const prepared = await prepareEvent(destination, eventData, clientInfo);
+
+  if (prepared.result) {
+    return prepared.result;
+  }
+
+  const result = await sendPayload(destination, prepared.payload, prepared.url, prepared.clientInfo, {
+    retries,
+    eventName: eventData.event_name
+  });
+
+  return prepared.redacted ? { ...result, redacted: true } : result;
+}
+
+/**
+ * @param {import('./destinations.js').EventDestination} destination
+ * @param {Object[]} events
+ * @param {Object} clientInfo
+ * @returns {Promise<DestinationResult[]>} One result per event, same order
+ */
+async function dispatchToDestination(destination, events, clientInfo) {
+  if (!destination.batch || events.length === 1) {
+    return Promise.all(events.map(eventData => forwardToDestination(destination, eventData, clientInfo)));
+  }
+
+  const results = new Array(events.length);
+  const groups = new Map();
+
+  const preparedEvents = await Promise.all(
+    events.map(eventData => prepareEvent(destination, eventData, clientInfo))
+  );
+
+  preparedEvents.forEach((prepared, index) => {
+    if (prepared.result) {
+      results[index] = prepared.result;
+      return;
+    }
+
+    const key = `${destination.batch.key(prepared.eventData)}|${prepared.url}|${prepared.redacted}`;
+    const group = groups.get(key) ?? [];
+    group.push({ index, ...prepared });
+    groups.set(key, group);
+  });
+
+  const chunks = [...groups.values()].flatMap(group => chunk(group, destination.batch.maxSize));
+
+  await Promise.all(chunks.map(async (entries) => {
+    const payload = entries.length === 1
+      ? entries[0].payload
+      : destination.batch.merge(entries.map(entry => entry.payload));
+
+    const result = await sendPayload(destination, payload, entries[0].url, entries[0].clientInfo, {
+      retries: destination.retry.retries,
+      eventName: entries.map(entry => events[entry.index].event_name).join(','),
+      eventCount: entries.length
+    });
+
+    for (const { index, redacted } of entries) {
+      results[index] = { ...result, batchSize: entries.length, ...(redacted && { redacted: true }) };
+    }
+  }));
+
+  return results;
+}
+
+/**
+ * Applies the consent, PII and IP policies and keeps only the client fields a destination
+ * needs to rebuild its request, so retry jobs never persist raw customer data.
+ * @param {import('./destinations.js').EventDestination} destination
+ * @param {Object} eventData
+ * @param {Object} clientInfo
+ * @returns {Promise<{eventData: Object, clientInfo: Object}|null>} null when consent drops the event
+ */
+export async function prepareRetryData(destination, eventData, clientInfo) {
+  const decision = applyConsent(destination, eventData, clientInfo);
+  if (decision.action === 'drop') {
+    return null;
+  }
+
+  const { clientIP, userAgent, referer, country, cookies = {} } = applyIpPolicy(destination.name, decision.clientInfo);
+
+  return {
+    eventData: await applyPiiPolicy(destination, decision.eventData),
+    clientInfo: {
+      clientIP,
+      userAgent,
+      referer,
+      country,
+      cookies: Object.fromEntries(RETRY_COOKIES.filter(name => cookies[name]).map(name => [name, cookies[name]]))
+    }
+  };
+}
+
+/**
+ * Applies the consent and PII policies and builds the destination payload.
+ * @param {import('./destinations.js').EventDestination} destination
+ * @param {Object} eventData
+ * @param {Object} clientInfo
+ * @returns {Promise<{payload?: Object, url?: string, eventData?: Object, clientInfo?: Object, redacted?: boolean, result?: DestinationResult}>}
+ *   Payload to send, or a final result
+ */
+async function prepareEvent(destination, eventData, clientInfo) {
+  const { name } = destination;
+
+  const decision = applyConsent(destination, eventData, clientInfo);
+  if (decision.action === 'drop') {
+    Logger.debug('Destination dropped event (consent)', {
+      destination: name,
+      event_name: eventData.event_name,
+      denied: decision.denied
+    });
+    Metrics.increment('event_forwards_total', { destination: name, result: 'skipped' });
+    return { result: { destination: name, accepted: false, skipped: true, reason: 'consent' } };
+  }
+
+  try {
+    const safeEventData = await applyPiiPolicy(destination, decision.eventData);
+    const safeClientInfo = applyIpPolicy(name, decision.clientInfo);
+    const payload = await destination.buildPayload(safeEventData, safeClientInfo);
+    const url = payload ? destination.getUrl(safeEventData) : null;
+
+    if (!payload || !url) {
+      Logger.debug('Destination skipped event', { destination: name, event_name: eventData.event_name });
+      Metrics.increment('event_forwards_total', { destination: name, result: 'skipped' });
+      return { result: { destination: name, accepted: false, skipped: true, reason: 'unsupported' } };
+    }
+
+    return {
+      payload,
+      url,
+      eventData: safeEventData,
+      clientInfo: safeClientInfo,
+      redacted: decision.action === 'redact'
+    };
+  } catch (error) {
+    Logger.error('Destination payload build failed', { destination: name, error: error.message });
+    Metrics.increment('event_forwards_total', { destination: name, result: 'failed' });
+    return { result: { destination: name, accepted: false, error: 'payload_error' } };
+  }
+}
+
+/**
+ * @param {string} name - Destination name
+ * @param {Object} clientInfo
+ * @returns {Object} Client information with IP / country reduced to the destination's IP policy
+ */
+function applyIpPolicy(name, clientInfo) {
+  const policy = getIpPolicy(name);
+  if (policy === 'full') return clientInfo;
+
+  return {
+    ...clientInfo,
+    clientIP: anonymizeIP(clientInfo.clientIP, policy) ?? 'unknown',
+    country: policy === 'none' ? null : clientInfo.country
+  };
+}
+
+/**
+ * @param {import('./destinations.js').EventDestination} destination
+ * @param {Object} payload - Request body
+ * @param {string} url - Target URL (before auth query params)
+ * @param {Object} clientInfo
+ * @param {{retries: number, eventName: string, eventCount?: number}} options - eventCount: events in the payload
+ * @returns {Promise<DestinationResult>}
+ */
+async function sendPayload(destination, payload, url, clientInfo, { retries, eventName, eventCount = 1 }) {
+  const { name } = destination;
+  const { headers: authHeaders = {}, query = {} } = destination.auth(clientInfo) ?? {};
+  const targetUrl = appendQuery(url, query);
+  const body = JSON.stringify(payload);
+  const { backoffMs } = destination.retry;
+
+  const startTime = Date.now();
+  let status = 0;
+  let lastError = null;
+  let attempts = 0;
+  let retryable = false;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    attempts = attempt + 1;
+
+    if (attempt > 0) {
+      await sleep(backoffMs * 2 ** (attempt - 1));
+    }
+
+    try {
+      const response = await fetch(targetUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...authHeaders },
+        body,
+        signal: AbortSignal.timeout(CONFIG.FETCH_TIMEOUT ?? 10000)
+      });
+
+      status = response.status;
+
+      if (response.ok) {
+        const duration = Date.now() - startTime;
+        recordForward(name, 'accepted', duration, eventCount);
+        return { destination: name, accepted: true, status, attempts, duration };
+      }
+
+      const errorBody = await response.text().catch(() => '');
+      lastError = `HTTP ${status}`;
+      retryable = isRetryableStatus(status);
+
+      Logger.warn('Destination rejected event', {
+        destination: name,
+        status,
+        attempt: attempts,
+        error: errorBody.substring(0, 200)
+      });
+
+      if (!retryable) {
+        break;
+      }
+    } catch (error) {
+      status = 0;
+      retryable = true;
+      lastError = error.name === 'TimeoutError' ? 'timeout' : error.message;
+      Logger.warn('Destination forward failed', { destination: name, attempt: attempts, error: lastError });
+    }
+  }
+
+  Logger.error('Destination gave up on event', {
+    destination: name,
+    event_name: eventName,
+    status,
+    error: lastError
+  });
+
+  const duration = Date.now() - startTime;
+  recordForward(name, 'failed', duration, eventCount);
+
+  return {
+    destination: name,
+    accepted: false,
+    status,
+    attempts,
+    duration,
+    error: lastError,
+    retryable
+  };
+}
+
+/**
+ * @param {string} destination - Destination name
+ * @param {'accepted'|'failed'} result
+ * @param {number} duration - ms, retries included
+ * @param {number} eventCount - Events in the upstream request
+ */
+function recordForward(destination, result, duration, eventCount) {
+  Metrics.increment('event_forwards_total', { destination, result }, eventCount);
+  Metrics.observe('event_forward_duration_ms', duration, { destination, result });
+}
+
+/**
+ * @param {number} status - HTTP status
+ * @returns {boolean} True for 408, 429 and 5xx
+ */
+const isRetryableStatus = (status) => status === 408 || status === 429 || status >= 500;
+
+/**
+ * @param {Array} items
+ * @param {number} size
+ * @returns {Array[]}
+ */
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * @param {string} url - Base URL
+ * @param {Object} query - Params to append
+ * @returns {string}
+ */
+function appendQuery(url, query) {
+  const entries = Object.entries(query).filter(([, value]) => value != null && value !== '');
+  if (entries.length === 0) return url;
+
+  const parsed = new URL(url);
+  for (const [key, value] of entries) {
+    parsed.searchParams.set(key, value);
+  }
+  return parsed.toString();
+}
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
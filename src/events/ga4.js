@@ -0,0 +1,112 @@
+/**
+ * @fileoverview GA4 Measurement Protocol - Payload builder for server-side GA4 events
+ * @module events/ga4
+ */
+
+import { buildGA4Consent } from './consent.js';
+
+/**
+ * @param {Object} eventData - Event data from client
+ * @param {Object} clientInfo - Client information (IP, UA, referer)
+ * @returns {Object} GA4 Measurement Protocol payload
+ */
+export function buildGA4Payload(eventData, clientInfo) {
+  const { clientIP, userAgent, referer } = clientInfo;
+  
+  const payload = {
+    client_id: eventData.client_id,
+    timestamp_micros: eventData.timestamp_micros ?? (Date.now() * 1000).toString(),
+    user_properties: eventData.user_properties ?? {},
+    events: [{
+      name: eventData.event_name,
+      params: {
+        page_location: eventData.page_location ?? referer ?? '',
+        page_title: eventData.page_title ?? '',
+        page_referrer: eventData.page_referrer ?? '',
+        session_id: eventData.session_id ?? '',
+        engagement_time_msec: eventData.engagement_time_msec ?? '100',
+        ...extractCustomParams(eventData)
+      }
+    }]
+  };
+
+  if (eventData.measurement_id) {
+    payload.measurement_id = eventData.measurement_id;
+  }
+
+  if (eventData.user_id) {
+    payload.user_id = eventData.user_id;
+  }
+
+  const consent = buildGA4Consent(eventData);
+  if (consent) {
+    payload.consent = consent;
+  }
+
+  return payload;
+}
+
+/**
+ * GA4 Measurement Protocol accepts up to 25 events per request
+ */
+export const GA4_MAX_BATCH_SIZE = 25;
+
+/**
+ * Events sharing this key can be sent in one Measurement Protocol request; consent and
+ * user_properties are request-level, so events where they differ are never merged
+ * @param {Object} eventData - Event data from client
+ * @returns {string} Batch key (client_id, user_id, measurement_id, consent, user_properties)
+ */
+export const getGA4BatchKey = (eventData) => [
+  eventData.client_id,
+  eventData.user_id ?? '',
+  eventData.measurement_id ?? '',
+  JSON.stringify(buildGA4Consent(eventData)),
+  JSON.stringify(eventData.user_properties ?? {})
+].join('|');
+
+/**
+ * Each event keeps its own time as an event-level `timestamp_micros`.
+ * @param {Object[]} payloads - GA4 payloads sharing the same batch key
+ * @returns {Object} Single GA4 Measurement Protocol payload with all events
+ */
+export function mergeGA4Payloads(payloads) {
+  const { timestamp_micros: _timestampMicros, ...first } = payloads[0];
+
+  return {
+    ...first,
+    events: payloads.flatMap(payload =>
+      payload.events.map(event => ({ ...event, timestamp_micros: payload.timestamp_micros }))
+    )
+  };
+}
+
+/**
+ * @param {Object} eventData - Event data from client
+ * @returns {Object} Custom parameters
+ */
+function extractCustomParams(eventData) {
+  const standardFields = new Set([
+    'event_name',
+    'client_id',
+    'user_id',
+    'measurement_id',
+    'timestamp_micros',
+    'user_properties',
+    'page_location',
+    'page_title',
+    'page_referrer',
+    'session_id',
+    'engagement_time_msec',
+    'user_data',
+    'fbp',
+    'fbc',
+    'action_source',
+    'consent',
+    'customer_privacy'
+  ]);
+
+  return Object.fromEntries(
+    Object.entries(eventData).filter(([key]) => !standardFields.has(key))
+  );
+}
@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Meta Conversions API - Payload builder for server-side Meta events
+ * @module events/meta-capi
+ */
+
+import { CONFIG } from '../config/index.js';
+import { hashUserDataValue } from './pii.js';
+
+/**
+ * GA4 recommended event names and Shopify standard event names mapped to Meta standard events.
+ * Events not listed here are not forwarded to Meta.
+ */
+const META_EVENT_NAMES = {
+  // GA4
+  page_view: 'PageView',
+  view_item: 'ViewContent',
+  search: 'Search',
+  add_to_cart: 'AddToCart',
+  add_to_wishlist: 'AddToWishlist',
+  begin_checkout: 'InitiateCheckout',
+  add_payment_info: 'AddPaymentInfo',
+  purchase: 'Purchase',
+  generate_lead: 'Lead',
+  sign_up: 'CompleteRegistration',
+
+  // Shopify Customer Events
+  page_viewed: 'PageView',
+  product_viewed: 'ViewContent',
+  search_submitted: 'Search',
+  product_added_to_cart: 'AddToCart',
+  checkout_started: 'InitiateCheckout',
+  payment_info_submitted: 'AddPaymentInfo',
+  checkout_completed: 'Purchase'
+};
+
+const USER_DATA_FIELDS = ['em', 'ph', 'fn', 'ln', 'ge', 'db', 'ct', 'st', 'zp', 'country', 'external_id'];
+
+/**
+ * @returns {boolean} True when pixel ID and access token are configured
+ */
+export const isMetaCAPIEnabled = () => Boolean(CONFIG.META_PIXEL_ID && CONFIG.META_ACCESS_TOKEN);
+
+/**
+ * @param {string} eventName - Incoming event name (GA4 or Shopify)
+ * @returns {string|null} Meta standard event name or null if unmapped
+ */
+export const mapMetaEventName = (eventName) => META_EVENT_NAMES[eventName] ?? null;
+
+/**
+ * @returns {string} Graph API events endpoint for the configured pixel (without access token)
+ */
+export function getMetaCAPIUrl() {
+  const baseUrl = CONFIG.META_CAPI_URL.replace(/\/+$/, '');
+  return `${baseUrl}/${CONFIG.META_PIXEL_ID}/events`;
+}
+
+/**
+ * @param {Object} eventData - Event data from client
+ * @param {Object} clientInfo - Client information (IP, UA, referer, cookies)
+ * @returns {Promise<Object|null>} Conversions API request body or null if event is not mapped
+ */
+export async function buildMetaCAPIPayload(eventData, clientInfo) {
+  const eventName = mapMetaEventName(eventData.event_name);
+  if (!eventName) {
+    return null;
+  }
+
+  const { clientIP, userAgent, referer, cookies = {} } = clientInfo;
+  const eventSourceUrl = eventData.page_location || referer || undefined;
+
+  const event = {
+    event_name: eventName,
+    event_time: resolveEventTime(eventData),
+    event_id: eventData.event_id ?? eventData.transaction_id ?? undefined,
+    event_source_url: eventSourceUrl,
+    action_source: eventData.action_source ?? 'website',
+    user_data: await buildUserData(eventData, { clientIP, userAgent, cookies, eventSourceUrl }),
+    custom_data: buildCustomData(eventData)
+  };
+
+  const payload = { data: [stripEmpty(event)] };
+
+  if (CONFIG.META_TEST_EVENT_CODE) {
+    payload.test_event_code = CONFIG.META_TEST_EVENT_CODE;
+  }
+
+  return payload;
+}
+
+/**
+ * Conversions API accepts up to 1000 events per request
+ */
+export const META_MAX_BATCH_SIZE = 1000;
+
+/**
+ * @param {Object[]} payloads - Conversions API request bodies
+ * @returns {Object} Single request body with all events
+ */
+export function mergeMetaCAPIPayloads(payloads) {
+  const [first] = payloads;
+
+  return {
+    ...first,
+    data: payloads.flatMap(payload => payload.data)
+  };
+}
+
+/**
+ * @param {Object} eventData - Event data from client
+ * @returns {number} Unix timestamp in seconds
+ */
+function resolveEventTime(eventData) {
+  const micros = Number(eventData.timestamp_micros);
+  if (Number.isFinite(micros) && micros > 0) {
+    return Math.floor(micros / 1000000);
+  }
+  return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * @param {Object} eventData - Event data from client
+ * @param {Object} context - Request context
+ * @returns {Promise<Object>} Meta user_data object; external_id (client_id by default) is hashed
+ */
+async function buildUserData(eventData, { clientIP, userAgent, cookies, eventSourceUrl }) {
+  const userData = {};
+  const provided = eventData.user_data ?? {};
+
+  for (const field of USER_DATA_FIELDS) {
+    if (provided[field] != null && provided[field] !== '') {
+      userData[field] = provided[field];
+    }
+  }
+
+  const externalId = await hashUserDataValue('external_id', userData.external_id ?? eventData.client_id);
+  if (externalId) {
+    userData.external_id = externalId;
+  } else {
+    delete userData.external_id;
+  }
+
+  if (clientIP && clientIP !== 'unknown') {
+    userData.client_ip_address = clientIP;
+  }
+
+  if (userAgent) {
+    userData.client_user_agent = userAgent;
+  }
+
+  const fbp = provided.fbp ?? eventData.fbp ?? cookies._fbp;
+  if (fbp) {
+    userData.fbp = fbp;
+  }
+
+  const fbc = provided.fbc ?? eventData.fbc ?? cookies._fbc ?? buildFbcFromUrl(eventSourceUrl);
+  if (fbc) {
+    userData.fbc = fbc;
+  }
+
+  return userData;
+}
+
+/**
+ * @param {Object} eventData - Event data from client
+ * @returns {Object} Meta custom_data object
+ */
+function buildCustomData(eventData) {
+  const items = Array.isArray(eventData.items) ? eventData.items : [];
+
+  const contents = items
+    .filter(item => item?.item_id ?? item?.item_name)
+    .map(item => stripEmpty({
+      id: String(item.item_id ?? item.item_name),
+      quantity: Number(item.quantity ?? 1),
+      item_price: item.price != null ? Number(item.price) : undefined
+    }));
+
+  return stripEmpty({
+    currency: eventData.currency,
+    value: eventData.value != null ? Number(eventData.value) : undefined,
+    order_id: eventData.transaction_id,
+    contents: contents.length ? contents : undefined,
+    content_ids: contents.length ? contents.map(content => content.id) : undefined,
+    content_type: contents.length ? 'product' : undefined,
+    num_items: contents.length
+      ? contents.reduce((total, content) => total + (content.quantity || 0), 0)
+      : undefined,
+    search_string: eventData.search_term
+  });
+}
+
+/**
+ * @param {string} [url] - Page URL that may carry an fbclid parameter
+ * @returns {string|null} fbc value in the fb.1.{timestamp}.{fbclid} format
+ */
+function buildFbcFromUrl(url) {
+  if (!url) return null;
+
+  try {
+    const fbclid = new URL(url).searchParams.get('fbclid');
+    return fbclid ? `fb.1.${Date.now()}.${fbclid}` : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {Object} obj - Flat object
+ * @returns {Object} Copy without undefined, null or empty-string values
+ */
+function stripEmpty(obj) {
+  return Object.fromEntries(
+    Object.entries(obj).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  );
+}
@@ -0,0 +1,212 @@
+/**
+ * @fileoverview PII - Normalization and SHA-256 hashing of customer data per destination
+ * @module events/pii
+ */
+
+import { CONFIG } from '../config/index.js';
+import { generateSHA256 } from '../utils/crypto.js';
+
+/**
+ * Flat customer fields sent by the theme / pixel builders and the user_data key they map to
+ */
+export const PII_FIELDS = {
+  customer_email: 'em',
+  customer_phone: 'ph',
+  customer_first_name: 'fn',
+  customer_last_name: 'ln',
+  customer_city: 'ct',
+  customer_state: 'st',
+  customer_province: 'st',
+  customer_zip: 'zp',
+  customer_country: 'country',
+  customer_gender: 'ge',
+  customer_birthdate: 'db'
+};
+
+/**
+ * user_data keys that are normalized and hashed; other keys (fbp, fbc) pass through
+ */
+const HASHED_KEYS = ['em', 'ph', 'fn', 'ln', 'ct', 'st', 'zp', 'country', 'ge', 'db', 'external_id'];
+
+const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+/**
+ * @typedef {Object} PiiPolicy
+ * @property {'hash'|'strip'} mode - hash: normalized SHA-256 values in `user_data`; strip: no customer data at all
+ */
+
+let countryCodesByName = null;
+
+/**
+ * @returns {Map<string, string>} Lowercase English country name to ISO 3166-1 alpha-2 code
+ */
+function getCountryCodesByName() {
+  if (countryCodesByName) return countryCodesByName;
+
+  countryCodesByName = new Map();
+  try {
+    const displayNames = new Intl.DisplayNames(['en'], { type: 'region' });
+    for (let first = 65; first <= 90; first++) {
+      for (let second = 65; second <= 90; second++) {
+        const code = String.fromCharCode(first, second);
+        const name = displayNames.of(code);
+        if (name && name !== code) {
+          countryCodesByName.set(name.toLowerCase(), code.toLowerCase());
+        }
+      }
+    }
+  } catch {
+    // Runtime without full ICU data: only two-letter codes are accepted
+  }
+
+  return countryCodesByName;
+}
+
+const lettersOnly = (value) => value.toLowerCase().normalize('NFC').replace(/[^\p{L}\p{M}]/gu, '');
+
+/**
+ * @param {string} phone - Phone number in any common format
+ * @returns {string|null} E.164 number (`+5511912345678`) or null when it cannot be normalized
+ */
+export function normalizePhone(phone) {
+  const trimmed = phone.trim();
+  const digits = trimmed.replace(/\D/g, '');
+  if (!digits) return null;
+
+  let international;
+  if (trimmed.startsWith('+')) {
+    international = digits;
+  } else if (digits.startsWith('00')) {
+    international = digits.slice(2);
+  } else if (CONFIG.PII_DEFAULT_PHONE_COUNTRY_CODE) {
+    // National format: drop the trunk prefix and prepend the store's country calling code
+    international = `${CONFIG.PII_DEFAULT_PHONE_COUNTRY_CODE}${digits.replace(/^0+/, '')}`;
+  } else {
+    international = digits;
+  }
+
+  return international.length >= 7 && international.length <= 15 ? `+${international}` : null;
+}
+
+/**
+ * @param {string} country - ISO 3166-1 alpha-2 code or English country name
+ * @returns {string|null} Lowercase alpha-2 code
+ */
+export function normalizeCountry(country) {
+  const value = country.trim().toLowerCase();
+  if (/^[a-z]{2}$/.test(value)) return value;
+  return getCountryCodesByName().get(value) ?? null;
+}
+
+/**
+ * Normalizers follow the Meta Conversions API customer information rules
+ * @type {Object<string, (value: string) => string|null>}
+ */
+const NORMALIZERS = {
+  em: (value) => {
+    const email = value.trim().toLowerCase();
+    return email.includes('@') ? email : null;
+  },
+  ph: (value) => normalizePhone(value)?.slice(1) ?? null,
+  fn: lettersOnly,
+  ln: lettersOnly,
+  ct: lettersOnly,
+  st: lettersOnly,
+  zp: (value) => {
+    const zip = value.trim().toLowerCase().replace(/[\s-]/g, '');
+    return /^\d{9}$/.test(zip) ? zip.slice(0, 5) : zip;
+  },
+  country: normalizeCountry,
+  ge: (value) => {
+    const gender = value.trim().toLowerCase().charAt(0);
+    return gender === 'f' || gender === 'm' ? gender : null;
+  },
+  db: (value) => {
+    const date = value.replace(/\D/g, '');
+    return date.length === 8 ? date : null;
+  },
+  external_id: (value) => value.trim() || null
+};
+
+/**
+ * @param {string} key - user_data key
+ * @param {*} value - Raw or already hashed value
+ * @returns {Promise<string|null>} SHA-256 of the normalized value
+ */
+export async function hashUserDataValue(key, value) {
+  if (value == null || value === '') return null;
+
+  const text = String(value);
+  if (SHA256_PATTERN.test(text)) return text;
+
+  const normalized = NORMALIZERS[key](text);
+  return normalized ? generateSHA256(normalized) : null;
+}
+
+/**
+ * Collects customer data from `user_data` and the flat customer_* fields.
+ * @param {Object} eventData - Event data from client
+ * @returns {Object<string, *>} Raw values keyed by user_data key
+ */
+function collectUserData(eventData) {
+  const collected = {};
+
+  for (const [field, key] of Object.entries(PII_FIELDS)) {
+    if (eventData[field] != null && eventData[field] !== '') {
+      collected[key] ??= eventData[field];
+    }
+  }
+
+  const provided = eventData.user_data;
+  if (provided && typeof provided === 'object') {
+    for (const [key, value] of Object.entries(provided)) {
+      if (value != null && value !== '') {
+        collected[key] = value;
+      }
+    }
+  }
+
+  return collected;
+}
+
+/**
+ * @param {Object} eventData - Event data from client
+ * @returns {boolean} True when the event carries any customer data
+ */
+export const hasPii = (eventData) =>
+  eventData.user_data != null || Object.keys(PII_FIELDS).some(field => eventData[field] != null);
+
+/**
+ * Removes raw customer data from the event and, for `hash` destinations, replaces `user_data`
+ * with normalized SHA-256 values.
+ * @param {import('./destinations.js').EventDestination} destination
+ * @param {Object} eventData - Event data from client
+ * @returns {Promise<Object>} Event data safe to build the destination payload from
+ */
+export async function applyPiiPolicy(destination, eventData) {
+  if (!hasPii(eventData)) {
+    return eventData;
+  }
+
+  const sanitized = { ...eventData };
+  for (const field of Object.keys(PII_FIELDS)) {
+    delete sanitized[field];
+  }
+  delete sanitized.user_data;
+
+  if (destination.pii?.mode !== 'hash') {
+    return sanitized;
+  }
+
+  const entries = await Promise.all(Object.entries(collectUserData(eventData)).map(async ([key, value]) => [
+    key,
+    HASHED_KEYS.includes(key) ? await hashUserDataValue(key, value) : value
+  ]));
+
+  const userData = Object.fromEntries(entries.filter(([, value]) => value != null));
+  if (Object.keys(userData).length > 0) {
+    sanitized.user_data = userData;
+  }
+
+  return sanitized;
+}
@@ -0,0 +1,346 @@
+/**
+ * @fileoverview Retry Queue - Durable storage for failed event forwards with dead-letter support
+ * @module events/retry-queue
+ */
+
+import { CONFIG } from '../config/index.js';
+import { Logger } from '../core/logger.js';
+import { getRequestContext } from '../core/request-context.js';
+import { getDestination } from './destinations.js';
+import { prepareRetryData } from './dispatcher.js';
+
+const JOB_PREFIX = 'job:';
+const DEAD_LETTER_PREFIX = 'dlq:';
+const DURABLE_OBJECT_NAME = 'retry-queue';
+const DURABLE_OBJECT_BASE = 'https://retry-queue.internal';
+
+/**
+ * @typedef {Object} RetryJob
+ * @property {string} id - Job identifier
+ * @property {string} destination - Destination name from the registry
+ * @property {Object} eventData - Event data after the destination's consent and PII policies
+ * @property {Object} clientInfo - Client information after the IP policy (IP, UA, referer, country, fbp / fbc cookies)
+ * @property {number} attempts - Failed attempts so far (including the in-request ones)
+ * @property {number} nextAttemptAt - Epoch ms of the next retry
+ * @property {string|null} lastError - Last failure reason
+ * @property {number} createdAt - Epoch ms of first failure
+ * @property {string|null} [traceId] - Trace of the request that ingested the event
+ * @property {string|null} [requestId] - X-Request-Id of that request
+ * @property {number} [deadLetteredAt] - Epoch ms when moved to dead-letter
+ */
+
+/**
+ * @param {number} attempts - Failed attempts so far
+ * @param {number} [now=Date.now()]
+ * @returns {number} Epoch ms of the next attempt (exponential backoff, capped)
+ */
+export function computeNextAttemptAt(attempts, now = Date.now()) {
+  const delay = CONFIG.RETRY_QUEUE_BASE_DELAY_MS * 2 ** Math.max(0, attempts - 1);
+  return now + Math.min(delay, CONFIG.RETRY_QUEUE_MAX_DELAY_MS);
+}
+
+/**
+ * Map-backed storage with the subset of the Durable Object storage API used by RetryQueueStore
+ */
+export class MemoryStorage {
+  constructor() {
+    this.data = new Map();
+  }
+
+  async get(key) {
+    return this.data.get(key);
+  }
+
+  async put(key, value) {
+    this.data.set(key, structuredClone(value));
+  }
+
+  async delete(key) {
+    return this.data.delete(key);
+  }
+
+  async list({ prefix = '' } = {}) {
+    const entries = [...this.data.entries()]
+      .filter(([key]) => key.startsWith(prefix))
+      .sort(([a], [b]) => a.localeCompare(b));
+    return new Map(entries);
+  }
+}
+
+/**
+ * Queue logic over any storage exposing get/put/delete/list({ prefix })
+ */
+export class RetryQueueStore {
+  /**
+   * @param {MemoryStorage|DurableObjectStorage} storage
+   */
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * @param {RetryJob} job
+   * @returns {Promise<RetryJob>}
+   */
+  async enqueue(job) {
+    await this.storage.put(`${JOB_PREFIX}${job.id}`, job);
+    return job;
+  }
+
+  /**
+   * @param {number} now - Epoch ms
+   * @param {number} limit - Max jobs to return
+   * @returns {Promise<RetryJob[]>} Jobs whose nextAttemptAt has passed, oldest first
+   */
+  async due(now, limit) {
+    const jobs = await this.storage.list({ prefix: JOB_PREFIX });
+    return [...jobs.values()]
+      .filter(job => job.nextAttemptAt <= now)
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+      .slice(0, limit);
+  }
+
+  /**
+   * @param {RetryJob} job
+   * @returns {Promise<RetryJob>}
+   */
+  async update(job) {
+    await this.storage.put(`${JOB_PREFIX}${job.id}`, job);
+    return job;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<boolean>}
+   */
+  async remove(id) {
+    return this.storage.delete(`${JOB_PREFIX}${id}`);
+  }
+
+  /**
+   * @param {RetryJob} job
+   * @returns {Promise<RetryJob>}
+   */
+  async deadLetter(job) {
+    const deadJob = { ...job, deadLetteredAt: Date.now() };
+    await this.storage.put(`${DEAD_LETTER_PREFIX}${job.id}`, deadJob);
+    await this.storage.delete(`${JOB_PREFIX}${job.id}`);
+    return deadJob;
+  }
+
+  /**
+   * @param {number} limit
+   * @returns {Promise<RetryJob[]>} Dead-lettered jobs, newest first
+   */
+  async listDeadLetters(limit) {
+    const jobs = await this.storage.list({ prefix: DEAD_LETTER_PREFIX });
+    return [...jobs.values()]
+      .sort((a, b) => b.deadLetteredAt - a.deadLetteredAt)
+      .slice(0, limit);
+  }
+
+  /**
+   * Moves a dead-lettered job back into the queue with a fresh retry budget
+   * @param {string} id
+   * @returns {Promise<RetryJob|null>} Requeued job or null if not found
+   */
+  async replayDeadLetter(id) {
+    const job = await this.storage.get(`${DEAD_LETTER_PREFIX}${id}`);
+    if (!job) return null;
+
+    const { deadLetteredAt: _deadLetteredAt, ...rest } = job;
+    const requeued = { ...rest, attempts: 0, nextAttemptAt: Date.now() };
+
+    await this.storage.put(`${JOB_PREFIX}${id}`, requeued);
+    await this.storage.delete(`${DEAD_LETTER_PREFIX}${id}`);
+    return requeued;
+  }
+
+  /**
+   * Deletes dead letters older than maxAge, then the oldest ones beyond maxCount
+   * @param {number} now - Epoch ms
+   * @param {{maxAge: number, maxCount: number}} retention - maxAge in ms
+   * @returns {Promise<number>} Dead letters deleted
+   */
+  async purgeDeadLetters(now, { maxAge, maxCount }) {
+    const deadLetters = await this.storage.list({ prefix: DEAD_LETTER_PREFIX });
+    const newestFirst = [...deadLetters.values()].sort((a, b) => b.deadLetteredAt - a.deadLetteredAt);
+    const expired = newestFirst.filter((job, index) => index >= maxCount || now - job.deadLetteredAt > maxAge);
+
+    for (const job of expired) {
+      await this.storage.delete(`${DEAD_LETTER_PREFIX}${job.id}`);
+    }
+    return expired.length;
+  }
+
+  /**
+   * @returns {Promise<{pending: number, deadLetters: number}>}
+   */
+  async stats() {
+    const [jobs, deadLetters] = await Promise.all([
+      this.storage.list({ prefix: JOB_PREFIX }),
+      this.storage.list({ prefix: DEAD_LETTER_PREFIX })
+    ]);
+    return { pending: jobs.size, deadLetters: deadLetters.size };
+  }
+}
+
+/**
+ * In-isolate queue (tests and deployments without the RETRY_QUEUE binding)
+ */
+export class MemoryRetryQueue extends RetryQueueStore {
+  constructor() {
+    super(new MemoryStorage());
+  }
+}
+
+/**
+ * Client for the RetryQueueDurableObject, same interface as RetryQueueStore
+ */
+export class DurableObjectRetryQueue {
+  /**
+   * @param {DurableObjectNamespace} namespace - RETRY_QUEUE binding
+   */
+  constructor(namespace) {
+    this.stub = namespace.get(namespace.idFromName(DURABLE_OBJECT_NAME));
+  }
+
+  async _call(operation, args = {}) {
+    const response = await this.stub.fetch(`${DURABLE_OBJECT_BASE}/${operation}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(args)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Retry queue ${operation} failed: HTTP ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  enqueue(job) {
+    return this._call('enqueue', { job });
+  }
+
+  due(now, limit) {
+    return this._call('due', { now, limit });
+  }
+
+  update(job) {
+    return this._call('update', { job });
+  }
+
+  remove(id) {
+    return this._call('remove', { id });
+  }
+
+  deadLetter(job) {
+    return this._call('deadLetter', { job });
+  }
+
+  listDeadLetters(limit) {
+    return this._call('listDeadLetters', { limit });
+  }
+
+  replayDeadLetter(id) {
+    return this._call('replayDeadLetter', { id });
+  }
+
+  purgeDeadLetters(now, retention) {
+    return this._call('purgeDeadLetters', { now, retention });
+  }
+
+  stats() {
+    return this._call('stats');
+  }
+}
+
+let retryQueue = null;
+
+/**
+ * @param {Object} env - Environment bindings from Cloudflare Workers
+ */
+export function initRetryQueue(env = {}) {
+  if (retryQueue) return;
+
+  if (env.RETRY_QUEUE) {
+    retryQueue = new DurableObjectRetryQueue(env.RETRY_QUEUE);
+    return;
+  }
+
+  Logger.warn('RETRY_QUEUE binding not configured, failed event forwards are kept in memory only');
+  retryQueue = new MemoryRetryQueue();
+}
+
+/**
+ * @returns {RetryQueueStore|DurableObjectRetryQueue}
+ */
+export function getRetryQueue() {
+  if (!retryQueue) {
+    retryQueue = new MemoryRetryQueue();
+  }
+  return retryQueue;
+}
+
+/**
+ * @param {RetryQueueStore|DurableObjectRetryQueue|null} queue - Queue adapter (null resets to lazy default)
+ */
+export function setRetryQueue(queue) {
+  retryQueue = queue;
+}
+
+/**
+ * Persists the event as the destination receives it (consent, PII and IP policies applied),
+ * never the raw customer data, IP or cookies.
+ * @param {string} destination - Destination name
+ * @param {Object} eventData - Validated event data
+ * @param {Object} clientInfo - Client information captured at ingestion
+ * @param {{attempts: number, error: string|null}} failure - Result of the in-request attempts
+ * @returns {Promise<RetryJob|null>} Queued job or null if enqueue failed
+ */
+export async function enqueueFailedForward(destination, eventData, clientInfo, { attempts, error }) {
+  const now = Date.now();
+  const context = getRequestContext();
+  const registered = getDestination(destination);
+  const prepared = registered ? await prepareRetryData(registered, eventData, clientInfo) : null;
+
+  if (!prepared) {
+    Logger.warn('Event forward not queued, destination unavailable or consent denied', {
+      destination,
+      event_name: eventData.event_name
+    });
+    return null;
+  }
+
+  const job = {
+    id: crypto.randomUUID(),
+    destination,
+    eventData: prepared.eventData,
+    clientInfo: prepared.clientInfo,
+    attempts,
+    nextAttemptAt: computeNextAttemptAt(attempts, now),
+    lastError: error ?? null,
+    createdAt: now,
+    traceId: context?.traceId ?? null,
+    requestId: context?.requestId ?? null
+  };
+
+  try {
+    await getRetryQueue().enqueue(job);
+    Logger.info('Event forward queued for retry', {
+      id: job.id,
+      destination,
+      event_name: eventData.event_name,
+      nextAttemptAt: job.nextAttemptAt
+    });
+    return job;
+  } catch (queueError) {
+    Logger.error('Failed to enqueue event forward', {
+      destination,
+      event_name: eventData.event_name,
+      error: queueError.message
+    });
+    return null;
+  }
+}
@@ -0,0 +1,176 @@
+/**
+ * @fileoverview Event Schemas - Declarative validation for GA4 recommended ecommerce events
+ * @module events/schemas
+ */
+
+import { CONFIG } from '../config/index.js';
+
+/**
+ * @typedef {'string'|'number'|'currency'|'array'} FieldType
+ */
+
+/**
+ * @typedef {Object} EventSchema
+ * @property {string[]} [required] - Fields that must be present
+ * @property {Object<string, FieldType>} [fields] - Type of each known field, checked when present
+ * @property {Object<string, string[]>} [dependencies] - Fields required when the key field is present
+ * @property {'required'|'optional'} [items] - Whether items[] must be a non-empty array
+ * @property {ItemSchema} [item] - Replaces DEFAULT_ITEM_SCHEMA for this event
+ */
+
+/**
+ * @typedef {Object} ItemSchema
+ * @property {string[][]} anyOf - At least one field of each group must be present
+ * @property {Object<string, FieldType>} fields - Type of each known item field
+ */
+
+const NUMERIC_PATTERN = /^-?\d+(\.\d+)?$/;
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+
+/** @type {Object<FieldType, (value: *) => boolean>} */
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string' || (typeof value === 'number' && Number.isFinite(value)),
+  number: (value) => (typeof value === 'number' && Number.isFinite(value)) ||
+    (typeof value === 'string' && NUMERIC_PATTERN.test(value)),
+  currency: (value) => typeof value === 'string' && CURRENCY_PATTERN.test(value),
+  array: (value) => Array.isArray(value)
+};
+
+const TYPE_MESSAGES = {
+  string: 'must be a string',
+  number: 'must be numeric',
+  currency: 'must be a 3-letter ISO 4217 code',
+  array: 'must be an array'
+};
+
+/** @type {ItemSchema} */
+export const DEFAULT_ITEM_SCHEMA = {
+  anyOf: [['item_id', 'item_name']],
+  fields: {
+    item_id: 'string',
+    item_name: 'string',
+    quantity: 'number',
+    price: 'number',
+    discount: 'number',
+    index: 'number',
+    currency: 'currency'
+  }
+};
+
+const VALUE_FIELDS = { value: 'number', currency: 'currency' };
+const VALUE_DEPENDENCIES = { value: ['currency'] };
+
+/**
+ * GA4 recommended ecommerce events
+ * @type {Object<string, EventSchema>}
+ */
+export const DEFAULT_EVENT_SCHEMAS = {
+  purchase: {
+    required: ['transaction_id', 'value', 'currency'],
+    fields: { ...VALUE_FIELDS, transaction_id: 'string', tax: 'number', shipping: 'number', coupon: 'string' },
+    items: 'optional'
+  },
+  refund: {
+    required: ['transaction_id'],
+    fields: { ...VALUE_FIELDS, transaction_id: 'string', tax: 'number', shipping: 'number' },
+    dependencies: VALUE_DEPENDENCIES,
+    items: 'optional'
+  },
+  add_to_cart: { fields: VALUE_FIELDS, dependencies: VALUE_DEPENDENCIES, items: 'required' },
+  remove_from_cart: { fields: VALUE_FIELDS, dependencies: VALUE_DEPENDENCIES, items: 'required' },
+  add_to_wishlist: { fields: VALUE_FIELDS, dependencies: VALUE_DEPENDENCIES, items: 'required' },
+  view_item: { fields: VALUE_FIELDS, dependencies: VALUE_DEPENDENCIES, items: 'required' },
+  view_cart: { fields: VALUE_FIELDS, dependencies: VALUE_DEPENDENCIES, items: 'required' },
+  begin_checkout: { fields: { ...VALUE_FIELDS, coupon: 'string' }, dependencies: VALUE_DEPENDENCIES, items: 'required' },
+  add_payment_info: {
+    fields: { ...VALUE_FIELDS, coupon: 'string', payment_type: 'string' },
+    dependencies: VALUE_DEPENDENCIES,
+    items: 'required'
+  },
+  add_shipping_info: {
+    fields: { ...VALUE_FIELDS, coupon: 'string', shipping_tier: 'string' },
+    dependencies: VALUE_DEPENDENCIES,
+    items: 'required'
+  },
+  view_item_list: { fields: { item_list_id: 'string', item_list_name: 'string' }, items: 'required' },
+  select_item: { fields: { item_list_id: 'string', item_list_name: 'string' }, items: 'required' }
+};
+
+/**
+ * Defaults merged with CONFIG.EVENT_SCHEMAS; a `null` override disables the schema
+ * @returns {Object<string, EventSchema>}
+ */
+function getEventSchemas() {
+  const schemas = { ...DEFAULT_EVENT_SCHEMAS, ...CONFIG.EVENT_SCHEMAS };
+  return Object.fromEntries(Object.entries(schemas).filter(([, schema]) => schema));
+}
+
+/**
+ * @param {Object} target - Event or item
+ * @param {Object<string, FieldType>} fields
+ * @param {string} path - Prefix for error messages
+ * @returns {string[]}
+ */
+function checkFieldTypes(target, fields = {}, path = '') {
+  return Object.entries(fields)
+    .filter(([field]) => target[field] !== undefined && target[field] !== null)
+    .filter(([field, type]) => TYPE_CHECKS[type] && !TYPE_CHECKS[type](target[field]))
+    .map(([field, type]) => `${path}${field} ${TYPE_MESSAGES[type]}`);
+}
+
+/**
+ * @param {Object[]} items
+ * @param {ItemSchema} itemSchema
+ * @returns {string[]}
+ */
+function validateItems(items, itemSchema) {
+  return items.flatMap((item, index) => {
+    const path = `items[${index}].`;
+
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+      return [`items[${index}] must be an object`];
+    }
+
+    const missing = (itemSchema.anyOf ?? [])
+      .filter(group => group.every(field => item[field] === undefined || item[field] === ''))
+      .map(group => `${path}${group.join(' or ')} is required`);
+
+    return [...missing, ...checkFieldTypes(item, itemSchema.fields, path)];
+  });
+}
+
+/**
+ * @param {Object} eventData - Event data with a valid event_name
+ * @returns {string[]} Schema violations; empty when the event has no schema or conforms
+ */
+export function validateEventSchema(eventData) {
+  const schema = getEventSchemas()[eventData.event_name];
+  if (!schema) {
+    return [];
+  }
+
+  const isMissing = (field) => eventData[field] === undefined || eventData[field] === null || eventData[field] === '';
+
+  const errors = (schema.required ?? [])
+    .filter(isMissing)
+    .map(field => `${field} is required for ${eventData.event_name}`);
+
+  for (const [field, needed] of Object.entries(schema.dependencies ?? {})) {
+    if (!isMissing(field)) {
+      errors.push(...needed.filter(isMissing).map(dependency => `${dependency} is required when ${field} is set`));
+    }
+  }
+
+  errors.push(...checkFieldTypes(eventData, schema.fields));
+
+  const { items } = eventData;
+  if (items !== undefined && !Array.isArray(items)) {
+    errors.push('items must be an array');
+  } else if (schema.items === 'required' && !items?.length) {
+    errors.push(`items is required for ${eventData.event_name}`);
+  } else if (items?.length) {
+    errors.push(...validateItems(items, schema.item ?? DEFAULT_ITEM_SCHEMA));
+  }
+
+  return errors;
+}
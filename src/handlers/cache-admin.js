@@ -0,0 +1,164 @@
+/**
+ * @fileoverview Cache Admin Handler - Inspect, refresh and purge the script and endpoint caches
+ * @module handlers/cache-admin
+ */
+
+import { CacheManager } from '../core/cache.js';
+import { fetchAndCompareScript, getCacheEntryAge, SCRIPT_URLS } from '../cache/script-cache.js';
+import { getScriptChange } from '../cache/script-changes.js';
+import { getKnownContainers } from '../cache/container-registry.js';
+import { getEndpointRecord } from '../cache/dynamic-endpoints.js';
+import { extractUuidFromPath } from './dynamic-proxy.js';
+import { authenticateRequest } from '../middleware/auth.js';
+import { errorResponse, jsonResponse } from '../utils/response.js';
+import { HTTP_STATUS } from '../utils/constants.js';
+import { generateSHA256 } from '../utils/crypto.js';
+import { Logger } from '../core/logger.js';
+
+const CACHE_BASE = 'https://cache.internal/';
+
+/**
+ * Namespaces holding one entry per scriptKey. Other namespaces (dyn-endpoint/, proxied
+ * responses) cannot be enumerated because the Cache API has no key listing.
+ */
+const SCRIPT_NAMESPACES = ['script', 'script-stale', 'script-hash', 'script-manifest', 'script-change'];
+
+/**
+ * @returns {Promise<Object<string, string>>} Upstream URL keyed by every known scriptKey
+ */
+async function getKnownScripts() {
+  return { ...SCRIPT_URLS, ...(await getKnownContainers()) };
+}
+
+/**
+ * @param {string} key - Cache key
+ * @returns {Promise<{hash: string, size: number, age: number|null, ttl: number|null}|null>}
+ */
+async function inspectEntry(key) {
+  const cached = await CacheManager.get(key);
+  if (!cached) return null;
+
+  const content = await cached.text();
+
+  return {
+    hash: await generateSHA256(content),
+    size: content.length,
+    ...getCacheEntryAge(cached)
+  };
+}
+
+/**
+ * @param {string} key - Path under cache.internal (`script/fbevents`, `dyn-endpoint/{uuid}`)
+ *   or a full upstream URL (proxied responses)
+ * @returns {string}
+ */
+const toCacheKey = (key) => (/^https?:\/\//.test(key) ? key : `${CACHE_BASE}${key.replace(/^\/+/, '')}`);
+
+/**
+ * @param {string} prefix - `{namespace}/{scriptKey prefix}`, e.g. `script-stale/gtm:`
+ * @returns {Promise<string[]|null>} Cache keys to purge, null when the namespace cannot be enumerated
+ */
+async function expandPrefix(prefix) {
+  const separator = prefix.indexOf('/');
+  const namespace = separator === -1 ? prefix : prefix.slice(0, separator);
+  const keyPrefix = separator === -1 ? '' : prefix.slice(separator + 1);
+
+  if (!SCRIPT_NAMESPACES.includes(namespace)) {
+    return null;
+  }
+
+  const scriptKeys = Object.keys(await getKnownScripts()).filter(scriptKey => scriptKey.startsWith(keyPrefix));
+  return scriptKeys.map(scriptKey => `${CACHE_BASE}${namespace}/${scriptKey}`);
+}
+
+/**
+ * GET    /admin/cache/scripts                  - Known script keys with hash, age and TTL
+ * POST   /admin/cache/refresh?key={scriptKey}  - Fetch, rewrite and cache a script now
+ * DELETE /admin/cache?key={key}                - Purge one key (`script/fbevents`, `dyn-endpoint/{uuid}`, upstream URL)
+ * DELETE /admin/cache?prefix={ns}/{keyPrefix}  - Purge every known scriptKey in a script namespace
+ * GET    /admin/cache/endpoints/{uuid}         - What a `/x/{uuid}` path resolves to
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Response>}
+ */
+export async function handleCacheAdmin(request) {
+  const authError = await authenticateRequest(request, 'cache');
+  if (authError) {
+    return authError;
+  }
+
+  const { pathname, searchParams } = new URL(request.url);
+
+  try {
+    if (pathname === '/admin/cache/scripts' && request.method === 'GET') {
+      const scripts = await getKnownScripts();
+
+      const entries = await Promise.all(Object.entries(scripts).map(async ([scriptKey, upstreamUrl]) => {
+        const [fresh, stale, lastChange] = await Promise.all([
+          inspectEntry(`${CACHE_BASE}script/${scriptKey}`),
+          inspectEntry(`${CACHE_BASE}script-stale/${scriptKey}`),
+          getScriptChange(scriptKey)
+        ]);
+        return { scriptKey, url: upstreamUrl, fresh, stale, lastChange };
+      }));
+
+      return jsonResponse({ scripts: entries });
+    }
+
+    if (pathname === '/admin/cache/refresh' && request.method === 'POST') {
+      const scriptKey = searchParams.get('key');
+      const upstreamUrl = scriptKey ? (await getKnownScripts())[scriptKey] : null;
+
+      if (!upstreamUrl) {
+        return errorResponse('key query parameter must be a known script key', HTTP_STATUS.NOT_FOUND);
+      }
+
+      const result = await fetchAndCompareScript(upstreamUrl, scriptKey);
+      Logger.info('Script refreshed by admin', { scriptKey, updated: result.updated, error: result.error });
+
+      return jsonResponse({ scriptKey, ...result }, result.error ? HTTP_STATUS.BAD_GATEWAY : HTTP_STATUS.OK);
+    }
+
+    if (pathname === '/admin/cache' && request.method === 'DELETE') {
+      const key = searchParams.get('key');
+      const prefix = searchParams.get('prefix');
+
+      if (!key && !prefix) {
+        return errorResponse('key or prefix query parameter required', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const keys = key ? [toCacheKey(key)] : await expandPrefix(prefix);
+      if (!keys) {
+        return errorResponse(
+          `Prefix purge only supports script namespaces: ${SCRIPT_NAMESPACES.join(', ')}`,
+          HTTP_STATUS.BAD_REQUEST
+        );
+      }
+
+      const deleted = await Promise.all(keys.map(cacheKey => CacheManager.delete(cacheKey)));
+      const purged = keys.filter((_, index) => deleted[index]);
+
+      Logger.info('Cache purged by admin', { key, prefix, purged: purged.length });
+
+      return jsonResponse({ purged, missing: keys.filter((_, index) => !deleted[index]) });
+    }
+
+    if (pathname.startsWith('/admin/cache/endpoints/') && request.method === 'GET') {
+      const uuid = extractUuidFromPath(`/x/${pathname.slice('/admin/cache/endpoints/'.length)}`);
+      if (!uuid) {
+        return errorResponse('Invalid UUID format', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const record = await getEndpointRecord(uuid);
+      if (!record) {
+        return errorResponse('Endpoint not found or expired', HTTP_STATUS.NOT_FOUND);
+      }
+
+      return jsonResponse({ path: `/x/${uuid}`, ...record });
+    }
+
+    return errorResponse('Not found', HTTP_STATUS.NOT_FOUND);
+  } catch (error) {
+    Logger.error('Cache admin operation failed', { path: pathname, error: error.message });
+    return errorResponse('Cache operation failed', HTTP_STATUS.INTERNAL_SERVER_ERROR);
+  }
+}
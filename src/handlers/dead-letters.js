@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Dead Letters Handler - Inspect and replay event forwards that ran out of retries
+ * @module handlers/dead-letters
+ */
+
+import { getRetryQueue } from '../events/retry-queue.js';
+import { authenticateRequest } from '../middleware/auth.js';
+import { errorResponse, jsonResponse } from '../utils/response.js';
+import { HTTP_STATUS } from '../utils/constants.js';
+import { parsePositiveInt } from '../utils/validation.js';
+import { Logger } from '../core/logger.js';
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+/**
+ * GET  /admin/dead-letters?limit=50         - List dead-lettered forwards and queue stats
+ * POST /admin/dead-letters/replay?id={id}   - Requeue one dead-lettered forward
+ * POST /admin/dead-letters/replay?all=1     - Requeue every listed dead-lettered forward
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Response>}
+ */
+export async function handleDeadLetters(request) {
+  const authError = await authenticateRequest(request, 'dead-letters');
+  if (authError) {
+    return authError;
+  }
+
+  const url = new URL(request.url);
+  const limit = Math.min(parsePositiveInt(url.searchParams.get('limit')) ?? DEFAULT_LIMIT, MAX_LIMIT);
+  const queue = getRetryQueue();
+
+  try {
+    if (url.pathname === '/admin/dead-letters' && request.method === 'GET') {
+      const [deadLetters, stats] = await Promise.all([
+        queue.listDeadLetters(limit),
+        queue.stats()
+      ]);
+      return jsonResponse({ stats, deadLetters });
+    }
+
+    if (url.pathname === '/admin/dead-letters/replay' && request.method === 'POST') {
+      const id = url.searchParams.get('id');
+      const replayAll = url.searchParams.get('all') === '1';
+
+      if (!id && !replayAll) {
+        return errorResponse('id or all=1 query parameter required', HTTP_STATUS.BAD_REQUEST);
+      }
+
+      const ids = replayAll
+        ? (await queue.listDeadLetters(limit)).map(job => job.id)
+        : [id];
+
+      const replayed = (await Promise.all(ids.map(jobId => queue.replayDeadLetter(jobId)))).filter(Boolean);
+
+      if (!replayAll && replayed.length === 0) {
+        return errorResponse('Dead letter not found', HTTP_STATUS.NOT_FOUND);
+      }
+
+      Logger.info('Dead letters replayed', { count: replayed.length });
+
+      return jsonResponse({ replayed: replayed.map(job => job.id) });
+    }
+
+    return errorResponse('Not found', HTTP_STATUS.NOT_FOUND);
+  } catch (error) {
+    Logger.error('Dead letter operation failed', { error: error.message });
+    return errorResponse('Retry queue unavailable', HTTP_STATUS.SERVICE_UNAVAILABLE);
+  }
+}
@@ -8,6 +8,7 @@ import { proxyRequest } from '../proxy/index.js';
 import { errorResponse } from '../utils/response.js';
 import { HTTP_STATUS } from '../utils/constants.js';
 import { Logger } from '../core/logger.js';
+import { filterBot, tagBotHit } from '../middleware/bot-filter.js';
 
 /**
  * @param {Request} request - Incoming request object
@@ -23,6 +24,11 @@ export async function handleDynamicProxy(request, uuid, rateLimit = null) {
       path: request.url
     });
 
+    const { response: botResponse, bot } = filterBot(request, { source: 'dynamic', rateLimit });
+    if (botResponse) {
+      return botResponse;
+    }
+
     const targetUrl = await getTargetUrl(uuid);
     
     if (!targetUrl) {
@@ -44,10 +50,11 @@ export async function handleDynamicProxy(request, uuid, rateLimit = null) {
       ? `${targetUrl}${separator}${requestSearch.slice(1)}`
       : targetUrl;
     
-    return await proxyRequest(finalUrl, request, {
+    return await proxyRequest(bot ? tagBotHit(finalUrl) : finalUrl, request, {
       preserveHeaders: true,
       allowCache: false,
-      rateLimit
+      rateLimit,
+      destination: 'dynamic'
     });
 
   } catch (error) {
@@ -5,7 +5,8 @@
 
 import { CONFIG } from '../config/index.js';
 import { generateEndpointUUID } from '../core/uuid.js';
-import { errorResponse, jsonResponse } from '../utils/response.js';
+import { jsonResponse } from '../utils/response.js';
+import { authenticateRequest } from '../middleware/auth.js';
 import { Logger } from '../core/logger.js';
 import { getCurrentDateISO, getNextRotationISO } from '../utils/time.js';
 
@@ -14,29 +15,9 @@ import { getCurrentDateISO, getNextRotationISO } from '../utils/time.js';
  * @returns {Promise<Response>} JSON with endpoint UUIDs or error
  */
 export async function handleEndpointsInfo(request) {
-  if (!CONFIG.ENDPOINTS_API_TOKEN) {
-    Logger.error('ENDPOINTS_API_TOKEN not configured');
-    return errorResponse(
-      'Endpoint not available - ENDPOINTS_API_TOKEN not configured',
-      503
-    );
-  }
-
-  const url = new URL(request.url);
-  const token = url.searchParams.get('token');
-
-  if (!token) {
-    Logger.warn('Missing token in query string', {
-      ip: request.headers.get('CF-Connecting-IP') ?? 'unknown'
-    });
-    return errorResponse('Unauthorized - token query parameter required', 401);
-  }
-
-  if (token !== CONFIG.ENDPOINTS_API_TOKEN) {
-    Logger.warn('Invalid ENDPOINTS_API_TOKEN', {
-      ip: request.headers.get('CF-Connecting-IP') ?? 'unknown'
-    });
-    return errorResponse('Unauthorized - Invalid token', 401);
+  const authError = await authenticateRequest(request, 'endpoints');
+  if (authError) {
+    return authError;
   }
 
   const fbUUID = await generateEndpointUUID('facebook');
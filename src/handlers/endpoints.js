@@ -7,6 +7,8 @@ import { proxyRequest } from '../proxy/index.js';
 import { getEndpointMap } from '../routing/mapping.js';
 import { errorResponse } from '../utils/response.js';
 import { HTTP_STATUS } from '../utils/constants.js';
+import { gateByConsent, getPathVendor, varyByConsent } from '../middleware/consent.js';
+import { filterBot, tagBotHit } from '../middleware/bot-filter.js';
 
 /**
  * @param {Request} request - Incoming request
@@ -24,9 +26,25 @@ export async function handleEndpointProxy(request, rateLimit = null) {
     return errorResponse('Not found', HTTP_STATUS.NOT_FOUND);
   }
 
-  return await proxyRequest(`${targetUrl}${url.search}`, request, {
+  const { response: botResponse, bot } = filterBot(request, { source: 'endpoints', rateLimit });
+  if (botResponse) {
+    return botResponse;
+  }
+
+  const vendor = getPathVendor(url.pathname);
+  const consentResponse = gateByConsent(request, vendor, { kind: 'collect', rateLimit });
+  if (consentResponse) {
+    return consentResponse;
+  }
+
+  const upstreamUrl = `${targetUrl}${url.search}`;
+
+  const response = await proxyRequest(bot ? tagBotHit(upstreamUrl) : upstreamUrl, request, {
     preserveHeaders: true,
     allowCache: false,
-    rateLimit
+    rateLimit,
+    destination: vendor
   });
+
+  return varyByConsent(response, vendor);
 }
@@ -8,90 +8,108 @@ import { CONFIG } from '../config/index.js';
 import { buildResponse } from '../proxy/response-builder.js';
 import { errorResponse } from '../utils/response.js';
 import { HTTP_STATUS } from '../utils/constants.js';
+import { parseCookies } from '../utils/request.js';
+import { getEnabledDestinations } from '../events/destinations.js';
+import { dispatchEvents } from '../events/dispatcher.js';
+import { enqueueFailedForward } from '../events/retry-queue.js';
+import { claimEvents, releaseClaims } from '../events/dedup.js';
+import { validateConsentFields } from '../events/consent.js';
+import { validateEventSchema } from '../events/schemas.js';
+import { filterBot, BOT_TRAFFIC_TYPE } from '../middleware/bot-filter.js';
 
 /**
+ * Accepts a single event object, a JSON array of events or an `{ events: [...] }` envelope.
  * @param {Request} request - Incoming request with event data
  * @param {Object} rateLimit - Rate limit info from worker
  * @returns {Promise<Response>} Success or error response
  */
 export async function handleEventProxy(request, rateLimit = null) {
   const startTime = Date.now();
+  const respond = (response) => buildResponse(response, request, { preserveHeaders: false, allowCache: false, rateLimit });
 
   try {
-    if (!CONFIG.GTM_SERVER_URL) {
-      Logger.warn('Event proxy called but GTM_SERVER_URL not configured');
-      return buildResponse(errorResponse('Server-side tracking not configured', HTTP_STATUS.SERVICE_UNAVAILABLE), request, { preserveHeaders: false, allowCache: false, rateLimit });
+    const { response: botResponse, bot } = filterBot(request, { source: 'events', rateLimit });
+    if (botResponse) {
+      return botResponse;
     }
 
-    let eventData;
+    const destinations = getEnabledDestinations();
+
+    if (destinations.length === 0) {
+      Logger.warn('Event proxy called but no destination configured', { configured: CONFIG.EVENT_DESTINATIONS });
+      return respond(errorResponse('Server-side tracking not configured', HTTP_STATUS.SERVICE_UNAVAILABLE));
+    }
+
+    let body;
     try {
-      eventData = await request.json();
+      body = await request.json();
     } catch (parseError) {
       Logger.warn('Failed to parse event JSON', { error: parseError.message });
-      return buildResponse(errorResponse('Invalid JSON', HTTP_STATUS.BAD_REQUEST), request, { preserveHeaders: false, allowCache: false, rateLimit });
-    }
-
-    const validation = validateEventData(eventData);
-    if (!validation.valid) {
-      Logger.warn('Event validation failed', { errors: validation.errors });
-      return buildResponse(errorResponse(`Invalid event: ${validation.errors.join(', ')}`, HTTP_STATUS.BAD_REQUEST), request, { preserveHeaders: false, allowCache: false, rateLimit });
+      return respond(errorResponse('Invalid JSON', HTTP_STATUS.BAD_REQUEST));
     }
 
     const { headers } = request;
     const clientIP = headers.get('CF-Connecting-IP') ?? headers.get('X-Forwarded-For') ?? 'unknown';
     const userAgent = headers.get('User-Agent') ?? '';
     const referer = headers.get('Referer') ?? '';
+    const country = headers.get('CF-IPCountry');
+    const clientInfo = { clientIP, userAgent, referer, country, cookies: parseCookies(request) };
+
+    // Tagged bot events reach GA4 with traffic_type=bot, which a data filter can exclude
+    const tagBot = (event) => (bot && event && typeof event === 'object' ? { ...event, traffic_type: BOT_TRAFFIC_TYPE } : event);
+
+    const batch = extractBatch(body);
+    if (batch) {
+      return respond(await handleBatch(batch.map(tagBot), clientInfo, destinations, startTime));
+    }
 
-    const ga4Payload = buildGA4Payload(eventData, { clientIP, userAgent, referer });
+    const eventData = tagBot(body);
+    const validation = validateEventData(eventData);
+    if (!validation.valid) {
+      Logger.warn('Event validation failed', { errors: validation.errors });
+      return respond(errorResponse(`Invalid event: ${validation.errors.join(', ')}`, HTTP_STATUS.BAD_REQUEST));
+    }
 
     Logger.info('Server-side event received', {
       event_name: eventData.event_name,
-      client_id: `${eventData.client_id?.substring(0, 20)}...`,
       measurement_id: eventData.measurement_id,
       clientIP,
       duration: Date.now() - startTime
     });
 
-    const gtmServerUrl = `${CONFIG.GTM_SERVER_URL}/g/collect`;
-
-    const forwardStartTime = Date.now();
-    const gtmResponse = await fetch(gtmServerUrl, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'User-Agent': userAgent,
-        'X-Forwarded-For': clientIP,
-        'Referer': referer
-      },
-      body: JSON.stringify(ga4Payload),
-      signal: AbortSignal.timeout(CONFIG.FETCH_TIMEOUT ?? 10000)
-    });
+    const [claim] = await claimEvents([eventData]);
+    if (claim.duplicate) {
+      Logger.info('Duplicate event dropped', {
+        event_name: eventData.event_name,
+        event_id: eventData.event_id,
+        transaction_id: eventData.transaction_id
+      });
 
-    const forwardDuration = Date.now() - forwardStartTime;
+      return respond(
+        new Response(JSON.stringify({ success: true, duplicate: true }), {
+          status: HTTP_STATUS.OK,
+          headers: { 'Content-Type': 'application/json' }
+        })
+      );
+    }
 
-    if (!gtmResponse.ok) {
-      Logger.error('GTM Server rejected event', {
-        status: gtmResponse.status,
-        statusText: gtmResponse.statusText,
-        duration: forwardDuration
-      });
-      return errorResponse('Tracking server error', HTTP_STATUS.BAD_GATEWAY);
+    const [outcome] = await forwardEvents([eventData], clientInfo, destinations);
+
+    if (!outcome.success) {
+      await releaseClaims([claim]);
     }
 
-    Logger.info('Event forwarded successfully', {
+    Logger[outcome.success ? 'info' : 'error'](outcome.success ? 'Event forwarded' : 'Event rejected by all destinations', {
       event_name: eventData.event_name,
-      gtmStatus: gtmResponse.status,
-      forwardDuration,
+      ...outcome.log,
       totalDuration: Date.now() - startTime
     });
 
-    return buildResponse(
-      new Response(JSON.stringify({ success: true }), {
-        status: HTTP_STATUS.OK,
+    return respond(
+      new Response(JSON.stringify({ success: outcome.success, destinations: outcome.destinations }), {
+        status: outcome.status,
         headers: { 'Content-Type': 'application/json' }
-      }),
-      request,
-      { preserveHeaders: false, allowCache: false, rateLimit }
+      })
     );
 
   } catch (error) {
@@ -101,14 +119,159 @@ export async function handleEventProxy(request, rateLimit = null) {
       duration: Date.now() - startTime
     });
 
-    return buildResponse(
-      errorResponse('Internal server error', HTTP_STATUS.INTERNAL_SERVER_ERROR),
-      request,
-      { preserveHeaders: false, allowCache: false, rateLimit }
-    );
+    return respond(errorResponse('Internal server error', HTTP_STATUS.INTERNAL_SERVER_ERROR));
   }
 }
 
+/**
+ * @param {*} body - Parsed request body
+ * @returns {Array|null} Events when the body is a batch, null for a single event
+ */
+function extractBatch(body) {
+  if (Array.isArray(body)) return body;
+  if (Array.isArray(body?.events)) return body.events;
+  return null;
+}
+
+/**
+ * @param {Array} events - Raw events from the batch
+ * @param {Object} clientInfo - Client information (IP, UA, referer, cookies)
+ * @param {import('../events/destinations.js').EventDestination[]} destinations
+ * @param {number} startTime - Request start (ms)
+ * @returns {Promise<Response>} Per-event results
+ */
+async function handleBatch(events, clientInfo, destinations, startTime) {
+  if (events.length === 0) {
+    return errorResponse('Invalid batch: no events', HTTP_STATUS.BAD_REQUEST);
+  }
+
+  if (events.length > CONFIG.EVENT_BATCH_MAX_SIZE) {
+    return errorResponse(`Invalid batch: at most ${CONFIG.EVENT_BATCH_MAX_SIZE} events allowed`, HTTP_STATUS.PAYLOAD_TOO_LARGE);
+  }
+
+  const validations = events.map(validateEventData);
+  const validEvents = events.filter((_, index) => validations[index].valid);
+
+  if (validEvents.length < events.length) {
+    Logger.warn('Batch contains invalid events', {
+      invalid: events.length - validEvents.length,
+      total: events.length
+    });
+  }
+
+  const claims = await claimEvents(validEvents);
+  const freshEvents = validEvents.filter((_, index) => !claims[index].duplicate);
+
+  const outcomes = freshEvents.length > 0
+    ? await forwardEvents(freshEvents, clientInfo, destinations)
+    : [];
+
+  await releaseClaims(claims
+    .filter(claim => !claim.duplicate)
+    .filter((_, index) => !outcomes[index].success));
+
+  let validIndex = 0;
+  let outcomeIndex = 0;
+  const results = events.map((_, index) => {
+    const { valid, errors } = validations[index];
+    if (!valid) {
+      return { index, success: false, errors };
+    }
+
+    if (claims[validIndex++].duplicate) {
+      return { index, success: true, duplicate: true };
+    }
+
+    const { success, destinations: destinationResults } = outcomes[outcomeIndex++];
+    return { index, success, destinations: destinationResults };
+  });
+
+  const succeeded = results.filter(result => result.success).length;
+
+  Logger.info('Event batch processed', {
+    total: events.length,
+    invalid: events.length - validEvents.length,
+    duplicates: validEvents.length - freshEvents.length,
+    succeeded,
+    failed: validEvents.length - succeeded,
+    totalDuration: Date.now() - startTime
+  });
+
+  let status = HTTP_STATUS.OK;
+  if (succeeded === 0) {
+    status = validEvents.length === 0 ? HTTP_STATUS.BAD_REQUEST : HTTP_STATUS.BAD_GATEWAY;
+  }
+
+  return new Response(JSON.stringify({ success: succeeded > 0, succeeded, failed: events.length - succeeded, results }), {
+    status,
+    headers: { 'Content-Type': 'application/json' }
+  });
+}
+
+/**
+ * Dispatches events, queues retryable failures and summarizes the outcome per event.
+ * @param {Object[]} events - Validated events
+ * @param {Object} clientInfo - Client information (IP, UA, referer, cookies)
+ * @param {import('../events/destinations.js').EventDestination[]} destinations
+ * @returns {Promise<Array<{success: boolean, status: number, destinations: Object, log: Object}>>}
+ */
+async function forwardEvents(events, clientInfo, destinations) {
+  const allResults = await dispatchEvents(events, clientInfo, destinations);
+
+  return Promise.all(events.map(async (eventData, index) => {
+    const results = allResults[index];
+
+    await Promise.all(results
+      .filter(result => !result.accepted && result.retryable)
+      .map(async (result) => {
+        const job = await enqueueFailedForward(result.destination, eventData, clientInfo, result);
+        result.queued = job !== null;
+      }));
+
+    const attempted = results.filter(result => !result.skipped);
+    const accepted = attempted.filter(result => result.accepted);
+    const queued = attempted.filter(result => result.queued);
+    const success = attempted.length === 0 || accepted.length > 0 || queued.length > 0;
+
+    let status = HTTP_STATUS.BAD_GATEWAY;
+    if (success) {
+      status = accepted.length > 0 || queued.length === 0 ? HTTP_STATUS.OK : HTTP_STATUS.ACCEPTED;
+    }
+
+    return {
+      success,
+      status,
+      destinations: summarizeResults(results),
+      log: {
+        accepted: accepted.map(result => result.destination),
+        queued: queued.map(result => result.destination),
+        failed: attempted.filter(result => !result.accepted && !result.queued).map(result => result.destination)
+      }
+    };
+  }));
+}
+
+/**
+ * @param {import('../events/dispatcher.js').DestinationResult[]} results
+ * @returns {Object<string, Object>} Client-facing result per destination name
+ */
+function summarizeResults(results) {
+  return Object.fromEntries(
+    results.map(({ destination, accepted, skipped, reason, queued, redacted, status, error }) => [
+      destination,
+      skipped
+        ? { accepted: false, skipped: true, reason }
+        : {
+          accepted,
+          status,
+          ...(error && { error }),
+          ...(queued && { queued: true }),
+          ...(redacted && { redacted: true })
+        }
+    ])
+  );
+}
+
 /**
  * @param {Object} eventData - Event data from client
  * @returns {Object} Validation result { valid: boolean, errors: string[] }
@@ -132,65 +295,20 @@ function validateEventData(eventData) {
     errors.push('event_name must contain only alphanumeric characters and underscores');
   }
 
-  return { valid: errors.length === 0, errors };
-}
+  errors.push(...validateConsentFields(eventData));
 
-/**
- * @param {Object} eventData - Event data from client
- * @param {Object} clientInfo - Client information (IP, UA, referer)
- * @returns {Object} GA4 Measurement Protocol payload
- */
-function buildGA4Payload(eventData, clientInfo) {
-  const { clientIP, userAgent, referer } = clientInfo;
-  
-  const payload = {
-    client_id: eventData.client_id,
-    timestamp_micros: eventData.timestamp_micros ?? (Date.now() * 1000).toString(),
-    user_properties: eventData.user_properties ?? {},
-    events: [{
-      name: eventData.event_name,
-      params: {
-        page_location: eventData.page_location ?? referer ?? '',
-        page_title: eventData.page_title ?? '',
-        page_referrer: eventData.page_referrer ?? '',
-        session_id: eventData.session_id ?? '',
-        engagement_time_msec: eventData.engagement_time_msec ?? '100',
-        ...extractCustomParams(eventData)
-      }
-    }]
-  };
+  if (errors.length === 0 && CONFIG.EVENT_SCHEMA_MODE !== 'off') {
+    const schemaErrors = validateEventSchema(eventData);
 
-  if (eventData.measurement_id) {
-    payload.measurement_id = eventData.measurement_id;
-  }
-
-  if (eventData.user_id) {
-    payload.user_id = eventData.user_id;
+    if (schemaErrors.length > 0 && CONFIG.EVENT_SCHEMA_MODE === 'strict') {
+      errors.push(...schemaErrors);
+    } else if (schemaErrors.length > 0) {
+      Logger.warn('Event does not match schema, forwarding anyway', {
+        event_name: eventData.event_name,
+        errors: schemaErrors
+      });
+    }
   }
 
-  return payload;
-}
-
-/**
- * @param {Object} eventData - Event data from client
- * @returns {Object} Custom parameters
- */
-function extractCustomParams(eventData) {
-  const standardFields = new Set([
-    'event_name',
-    'client_id',
-    'user_id',
-    'measurement_id',
-    'timestamp_micros',
-    'user_properties',
-    'page_location',
-    'page_title',
-    'page_referrer',
-    'session_id',
-    'engagement_time_msec'
-  ]);
-
-  return Object.fromEntries(
-    Object.entries(eventData).filter(([key]) => !standardFields.has(key))
-  );
+  return { valid: errors.length === 0, errors };
 }
@@ -1,26 +1,183 @@
 /**
- * @fileoverview Health Check - Health endpoint with metrics
+ * @fileoverview Health Check - Health endpoint with metrics and deep upstream / cache diagnostics
  * @module handlers/health
  */
 
 import { generateSecureUUID } from '../core/uuid.js';
-import { CONFIG } from '../config/index.js';
+import { CONFIG, getConfigErrors } from '../config/index.js';
 import { jsonResponse } from '../utils/response.js';
 import { Logger } from '../core/logger.js';
+import { fetchWithTimeout } from '../core/fetch.js';
 import { addRateLimitHeaders } from '../headers/rate-limit.js';
 import { getCurrentDateISO, timestampToISO } from '../utils/time.js';
+import { Metrics } from '../middleware/metrics.js';
+import { authenticateRequest } from '../middleware/auth.js';
+import { getScriptCacheState, SCRIPT_URLS } from '../cache/script-cache.js';
+import { getKnownContainers } from '../cache/container-registry.js';
+import { getEndpointMap } from '../routing/mapping.js';
+import { HTTP_STATUS, PATH_PREFIXES } from '../utils/constants.js';
+import packageInfo from '../../package.json' with { type: 'json' };
 
+// Upstreams answering slower than this mark the worker as degraded
+const SLOW_UPSTREAM_MS = 2000;
+
+/**
+ * @typedef {Object} UpstreamCheck
+ * @property {string} url
+ * @property {boolean} reachable - Any response below 500
+ * @property {number|null} status - HTTP status, null on network error / timeout
+ * @property {number} latency - ms
+ * @property {string} [error]
+ */
+
+/**
+ * @returns {Object<string, string>} URL probed per upstream
+ */
+const getUpstreamTargets = () => ({
+  ...(CONFIG.GTM_SERVER_URL && { gtmServer: `${CONFIG.GTM_SERVER_URL}/healthz` }),
+  facebook: SCRIPT_URLS.fbevents,
+  googleTagManager: SCRIPT_URLS.gtag
+});
+
+/**
+ * @param {string} url
+ * @returns {Promise<UpstreamCheck>}
+ */
+async function checkUpstream(url) {
+  const startTime = Date.now();
+
+  try {
+    const response = await fetchWithTimeout(url, { method: 'HEAD' });
+    return {
+      url,
+      reachable: response.status < 500,
+      status: response.status,
+      latency: Date.now() - startTime
+    };
+  } catch (error) {
+    return { url, reachable: false, status: null, latency: Date.now() - startTime, error: error.message };
+  }
+}
+
+/**
+ * @returns {Promise<{ok: boolean, paths: number, error?: string}>}
+ */
+async function checkEndpointMap() {
+  try {
+    const paths = Object.keys(await getEndpointMap());
+    const missing = [PATH_PREFIXES.FACEBOOK, ...(CONFIG.GTM_SERVER_URL ? [PATH_PREFIXES.GOOGLE] : [])]
+      .filter(prefix => !paths.some(path => path.startsWith(prefix)));
+
+    return missing.length === 0
+      ? { ok: true, paths: paths.length }
+      : { ok: false, paths: paths.length, error: `no endpoint for ${missing.join(', ')}` };
+  } catch (error) {
+    return { ok: false, paths: 0, error: error.message };
+  }
+}
+
+/**
+ * Runs every check in parallel. `down` when the collect endpoints cannot be resolved or no
+ * upstream is reachable; `degraded` for a failing or slow upstream, a script that is
+ * only served stale or not cached at all, or an invalid config variable.
+ * @returns {Promise<{status: 'ok'|'degraded'|'down', reasons: string[], checks: Object}>}
+ */
+async function runDeepChecks() {
+  const targets = getUpstreamTargets();
+  const scriptKeys = Object.keys({ ...SCRIPT_URLS, ...(await getKnownContainers()) });
+
+  const [upstreamResults, scriptResults, endpointMap] = await Promise.all([
+    Promise.all(Object.values(targets).map(checkUpstream)),
+    Promise.all(scriptKeys.map(getScriptCacheState)),
+    checkEndpointMap()
+  ]);
+
+  const upstreams = Object.fromEntries(Object.keys(targets).map((name, index) => [name, upstreamResults[index]]));
+  const scripts = Object.fromEntries(scriptKeys.map((scriptKey, index) => [scriptKey, scriptResults[index]]));
+
+  const down = [];
+  const degraded = [];
+
+  if (!endpointMap.ok) {
+    down.push(`endpoint map: ${endpointMap.error}`);
+  }
+
+  if (upstreamResults.every(check => !check.reachable)) {
+    down.push('no upstream reachable');
+  }
+
+  for (const [name, check] of Object.entries(upstreams)) {
+    if (!check.reachable) {
+      degraded.push(`${name} unreachable (${check.error ?? `HTTP ${check.status}`})`);
+    } else if (check.latency > SLOW_UPSTREAM_MS) {
+      degraded.push(`${name} slow (${check.latency}ms)`);
+    }
+  }
+
+  for (const [scriptKey, cache] of Object.entries(scripts)) {
+    if (cache.state !== 'fresh') {
+      degraded.push(`script ${scriptKey} ${cache.state}`);
+    }
+  }
+
+  for (const { key, message } of getConfigErrors()) {
+    degraded.push(`config ${key} ${message}`);
+  }
+
+  return {
+    status: down.length > 0 ? 'down' : degraded.length > 0 ? 'degraded' : 'ok',
+    reasons: [...down, ...degraded],
+    checks: { upstreams, scripts, endpointMap }
+  };
+}
+
+/**
+ * GET /health          - Liveness (public), `degraded` when a config variable is invalid
+ * GET /health?deep=1   - Upstream reachability / latency, script cache freshness, endpoint map
+ *                        and the invalid config variables (authenticated, `health` scope); 503 when down
+ * @param {Request} request - Incoming request
+ * @param {Object} [rateLimit] - Rate limit info from worker
+ * @returns {Promise<Response>}
+ */
 export async function handleHealthCheck(request, rateLimit) {
   try {
+    const deep = new URL(request.url).searchParams.get('deep') === '1';
+
+    if (deep) {
+      const authError = await authenticateRequest(request, 'health');
+      if (authError) {
+        return authError;
+      }
+    }
+
     const uuid = await generateSecureUUID();
+    const startTime = Date.now();
 
     const health = {
       status: 'ok',
       timestamp: Date.now(),
       date: getCurrentDateISO(),
-      version: '1.0.0'
+      version: packageInfo.version
     };
 
+    const configErrors = getConfigErrors();
+    if (configErrors.length > 0) {
+      health.status = 'degraded';
+    }
+
+    if (deep) {
+      const { status, reasons, checks } = await runDeepChecks();
+      Object.assign(health, { status, reasons, checks, duration: Date.now() - startTime });
+
+      if (configErrors.length > 0) {
+        health.configErrors = configErrors;
+      }
+
+      if (status !== 'ok') {
+        Logger.warn('Deep health check failed', { status, reasons });
+      }
+    }
+
     if (CONFIG.DEBUG_HEADERS_ENABLED) {
       health.uuid = uuid;
       health.metrics = {
@@ -33,7 +190,8 @@ export async function handleHealthCheck(request, rateLimit) {
           cacheTTL: CONFIG.CACHE_TTL,
           timeout: CONFIG.FETCH_TIMEOUT,
           maxSize: CONFIG.MAX_REQUEST_SIZE
-        }
+        },
+        counters: Metrics.getCounters()
       };
       health.cloudflare = {
         colo: request.cf?.colo ?? 'unknown',
@@ -42,7 +200,10 @@ export async function handleHealthCheck(request, rateLimit) {
       };
     }
 
-    const response = jsonResponse(health);
+    const response = jsonResponse(
+      health,
+      health.status === 'down' ? HTTP_STATUS.SERVICE_UNAVAILABLE : HTTP_STATUS.OK
+    );
     response.headers.set('Cache-Control', 'no-store');
 
     addRateLimitHeaders(response.headers, rateLimit);
@@ -7,6 +7,7 @@ import { proxyRequest } from '../proxy/index.js';
 import { errorResponse } from '../utils/response.js';
 import { HTTP_STATUS } from '../utils/constants.js';
 import { Logger } from '../core/logger.js';
+import { gateByConsent, varyByConsent } from '../middleware/consent.js';
 
 const LIB_MAP = {
   'fbevents': 'https://connect.facebook.net/en_US/fbevents.js',
@@ -21,11 +22,28 @@ const LIB_MAP = {
   'segment': 'https://cdn.segment.com/analytics.js',
 };
 
+/**
+ * Consent vendor and response kind per library, used when SCRIPT_CONSENT_GATING_ENABLED is on
+ */
+const LIB_CONSENT = {
+  'fbevents': { vendor: 'facebook', kind: 'script' },
+  'fb-convert': { vendor: 'facebook', kind: 'collect' },
+  'clarity': { vendor: 'clarity', kind: 'script' },
+  'clarity-collect': { vendor: 'clarity', kind: 'collect' },
+  'googleads': { vendor: 'google-ads', kind: 'script' },
+  'google-ads-conversion': { vendor: 'google-ads', kind: 'collect' },
+  'ga4': { vendor: 'google', kind: 'script' },
+  'ga-collect': { vendor: 'google', kind: 'collect' },
+  'quantcast': { vendor: 'quantcast', kind: 'script' },
+  'segment': { vendor: 'segment', kind: 'script' },
+};
+
 /**
  * @param {Request} request - Incoming request
+ * @param {Object} [rateLimit] - Rate limit info from worker
  * @returns {Promise<Response>} Proxied library or 404
  */
-export async function handleLibProxy(request) {
+export async function handleLibProxy(request, rateLimit = null) {
   const url = new URL(request.url);
   const pathParts = url.pathname.split('/').filter(Boolean);
 
@@ -44,6 +62,13 @@ export async function handleLibProxy(request) {
     return errorResponse(`Library not found: ${libName}`, HTTP_STATUS.NOT_FOUND);
   }
 
+  const { vendor, kind } = LIB_CONSENT[libName];
+  const consentResponse = gateByConsent(request, vendor, { kind, rateLimit });
+  if (consentResponse) {
+    Logger.info('Library blocked by consent gate', { lib: libName, vendor, kind });
+    return consentResponse;
+  }
+
   const { searchParams } = url;
   if (libName === 'clarity' && searchParams.has('tag')) {
     const tagId = searchParams.get('tag');
@@ -66,11 +91,11 @@ export async function handleLibProxy(request) {
     headers.set('X-Frame-Options', 'DENY');
     headers.set('Cache-Control', 'public, max-age=604800');
 
-    return new Response(response.body, {
+    return varyByConsent(new Response(response.body, {
       status: response.status,
       statusText: response.statusText,
       headers
-    });
+    }), vendor);
   } catch (error) {
     Logger.error(`[LibProxy] ✗ Failed to proxy ${libName}: ${error.message}`);
     return errorResponse(`Failed to fetch library: ${error.message}`, HTTP_STATUS.BAD_GATEWAY);
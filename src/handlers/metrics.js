@@ -0,0 +1,94 @@
+/**
+ * @fileoverview Metrics Handler - Authenticated export of the in-memory metric aggregates
+ * @module handlers/metrics
+ */
+
+import { Metrics } from '../middleware/metrics.js';
+import { authenticateRequest } from '../middleware/auth.js';
+import { jsonResponse } from '../utils/response.js';
+
+const PROMETHEUS_PREFIX = 'tracklay_';
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * @param {Object<string, string>} labels
+ * @returns {string} `{key="value",...}`, empty without labels
+ */
+function toPrometheusLabels(labels) {
+  const pairs = Object.keys(labels).sort()
+    .map(key => `${key}="${String(labels[key]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * @param {Object[]} series
+ * @returns {Object[]} Series of the same metric next to each other, as the text format requires
+ */
+const byName = (series) => [...series].sort((a, b) => a.name.localeCompare(b.name));
+
+/**
+ * @param {{counters: Object[], histograms: Object[]}} snapshot - From Metrics.getSnapshot()
+ * @returns {string} Prometheus text exposition format
+ */
+export function formatPrometheus({ counters, histograms }) {
+  const lines = [];
+  const declared = new Set();
+
+  const declare = (name, type) => {
+    if (declared.has(name)) return;
+    declared.add(name);
+    lines.push(`# TYPE ${name} ${type}`);
+  };
+
+  for (const { name, labels, value } of byName(counters)) {
+    const metric = `${PROMETHEUS_PREFIX}${name}`;
+    declare(metric, 'counter');
+    lines.push(`${metric}${toPrometheusLabels(labels)} ${value}`);
+  }
+
+  for (const { name, labels, count, sum, buckets } of byName(histograms)) {
+    const metric = `${PROMETHEUS_PREFIX}${name}`;
+    declare(metric, 'histogram');
+
+    for (const [bound, bucketCount] of Object.entries(buckets)) {
+      lines.push(`${metric}_bucket${toPrometheusLabels({ ...labels, le: bound })} ${bucketCount}`);
+    }
+    lines.push(`${metric}_bucket${toPrometheusLabels({ ...labels, le: '+Inf' })} ${count}`);
+    lines.push(`${metric}_sum${toPrometheusLabels(labels)} ${sum}`);
+    lines.push(`${metric}_count${toPrometheusLabels(labels)} ${count}`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * GET /metrics                     - JSON aggregates of this isolate since it started
+ * GET /metrics?format=prometheus   - Same aggregates as Prometheus text (also chosen by `Accept: text/plain`)
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Response>}
+ */
+export async function handleMetrics(request) {
+  const authError = await authenticateRequest(request, 'metrics');
+  if (authError) {
+    return authError;
+  }
+
+  const format = new URL(request.url).searchParams.get('format');
+  const accept = request.headers.get('Accept') ?? '';
+  const snapshot = Metrics.getSnapshot();
+
+  if (format === 'prometheus' || (!format && accept.includes('text/plain'))) {
+    return new Response(formatPrometheus(snapshot), {
+      headers: { 'Content-Type': PROMETHEUS_CONTENT_TYPE, 'Cache-Control': 'no-store' }
+    });
+  }
+
+  const response = jsonResponse({
+    since: snapshot.since,
+    uptime: snapshot.since ? Date.now() - snapshot.since : null,
+    counters: snapshot.counters,
+    histograms: snapshot.histograms
+  });
+  response.headers.set('Cache-Control', 'no-store');
+  return response;
+}
@@ -8,13 +8,15 @@ import { getScriptTarget } from '../routing/mapping.js';
 import { errorResponse } from '../utils/response.js';
 import { HTTP_STATUS } from '../utils/constants.js';
 import { Logger } from '../core/logger.js';
+import { gateByConsent, getPathVendor, varyByConsent } from '../middleware/consent.js';
 
 /**
  * @param {Request} request - Incoming request
  * @param {Object} rateLimit - Rate limit info from worker
+ * @param {ExecutionContext} [ctx] - Worker execution context, used to refresh stale scripts
  * @returns {Promise<Response>} Proxied script or 404
  */
-export async function handleScriptProxy(request, rateLimit = null) {
+export async function handleScriptProxy(request, rateLimit = null, ctx = null) {
   const url = request._parsedUrl ?? new URL(request.url);
 
   try {
@@ -24,11 +26,20 @@ export async function handleScriptProxy(request, rateLimit = null) {
       return errorResponse('Not found', HTTP_STATUS.NOT_FOUND);
     }
 
-    return await proxyRequest(targetUrl, request, {
+    const vendor = getPathVendor(url.pathname);
+    const consentResponse = gateByConsent(request, vendor, { rateLimit });
+    if (consentResponse) {
+      return consentResponse;
+    }
+
+    const response = await proxyRequest(targetUrl, request, {
       preserveHeaders: false,
       allowCache: true,
-      rateLimit
+      rateLimit,
+      ctx
     });
+
+    return varyByConsent(response, vendor);
   } catch (error) {
     Logger.error('Script proxy failed', {
       path: url.pathname,
@@ -3,12 +3,15 @@
  * @module headers/proxy
  */
 
+import { anonymizeIP } from '../utils/ip.js';
+
 /**
  * @param {Request} request - Original request
  * @param {boolean} preserveHeaders - If true, preserves all critical headers
+ * @param {'full'|'truncate'|'country-only'|'none'} [ipPolicy='full'] - How much of the client IP / location to forward
  * @returns {Headers} Headers for upstream
  */
-export function buildProxyHeaders(request, preserveHeaders = false) {
+export function buildProxyHeaders(request, preserveHeaders = false, ipPolicy = 'full') {
   const headers = new Headers();
   const { headers: requestHeaders } = request;
 
@@ -48,14 +51,14 @@ export function buildProxyHeaders(request, preserveHeaders = false) {
     if (value) headers.set(header, value);
   }
 
-  const clientIP = requestHeaders.get('CF-Connecting-IP');
+  const clientIP = anonymizeIP(requestHeaders.get('CF-Connecting-IP'), ipPolicy);
   if (clientIP) {
     headers.set('X-Forwarded-For', clientIP);
     headers.set('X-Real-IP', clientIP);
   }
 
   const country = requestHeaders.get('CF-IPCountry');
-  if (country) {
+  if (country && ipPolicy !== 'none') {
     headers.set('X-Country', country);
   }
 
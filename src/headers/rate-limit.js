@@ -11,13 +11,19 @@ import { timestampToISO } from '../utils/time.js';
  * @param {number} rateLimit.limit
  * @param {number} rateLimit.remaining
  * @param {number} rateLimit.resetAt
+ * @param {Object} [rateLimit.policy] - Matched policy { name, limit, windowMs, algorithm }
  */
 export const addRateLimitHeaders = (headers, rateLimit) => {
   if (!rateLimit) return;
 
-  const { limit, remaining, resetAt } = rateLimit;
+  const { limit, remaining, resetAt, policy } = rateLimit;
 
   headers.set(HEADERS.X_RATELIMIT_LIMIT, limit?.toString() ?? '0');
   headers.set(HEADERS.X_RATELIMIT_REMAINING, remaining?.toString() ?? '0');
   headers.set(HEADERS.X_RATELIMIT_RESET, timestampToISO(resetAt));
+
+  if (policy) {
+    const windowSeconds = Math.ceil(policy.windowMs / 1000);
+    headers.set(HEADERS.X_RATELIMIT_POLICY, `${policy.name};q=${policy.limit};w=${windowSeconds};alg=${policy.algorithm}`);
+  }
 };
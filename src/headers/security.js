@@ -2,6 +2,8 @@
  * @fileoverview Security headers utility
  */
 
+import { getRequestContext } from '../core/request-context.js';
+
 /**
  * @param {Headers} headers
  * @returns {Headers}
@@ -11,7 +13,7 @@ export const addSecurityHeaders = (headers) => {
   headers.set('Permissions-Policy', 'interest-cohort=()');
   headers.set('Content-Security-Policy', "default-src 'self'");
   headers.set('X-Content-Type-Options', 'nosniff');
-  headers.set('X-Request-Id', crypto.randomUUID());
+  headers.set('X-Request-Id', getRequestContext()?.requestId ?? crypto.randomUUID());
 
   return headers;
 };
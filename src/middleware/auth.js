@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Authentication - Token check shared by protected routes
+ *
+ * Accepted credentials, checked against ENDPOINTS_API_TOKEN (name `default`, every scope)
+ * and the named tokens in API_TOKENS:
+ * - `Authorization: Bearer <token>`
+ * - `Authorization: HMAC-SHA256 key=<name>, ts=<unix seconds>, nonce=<random>, sig=<hex>`
+ *   where sig = HMAC-SHA256(token, `${ts}\n${nonce}\n${METHOD}\n${path}${search}\n${sha256(body)}`)
+ * - `?token=<token>` only with AUTH_QUERY_TOKEN_ENABLED=true (deprecated, ends up in access logs)
+ */
+
+import { CONFIG } from '../config/index.js';
+import { Logger } from '../core/logger.js';
+import { CacheManager } from '../core/cache.js';
+import { errorResponse } from '../utils/response.js';
+import { HTTP_STATUS } from '../utils/constants.js';
+import { generateSHA256, generateHMACSHA256, timingSafeEqual } from '../utils/crypto.js';
+
+const HMAC_SCHEME = 'HMAC-SHA256';
+const HMAC_MAX_SKEW_SECONDS = 300;
+const NONCE_PREFIX = 'https://cache.internal/auth-nonce/';
+
+/**
+ * @typedef {Object} ApiToken
+ * @property {string} name - Shown in logs, selects the HMAC secret
+ * @property {string} token - Secret
+ * @property {string[]} scopes - Route scopes (endpoints, dead-letters, cache, metrics, health) or `*`
+ */
+
+/**
+ * @returns {ApiToken[]}
+ */
+const getApiTokens = () => [
+  ...(CONFIG.ENDPOINTS_API_TOKEN ? [{ name: 'default', token: CONFIG.ENDPOINTS_API_TOKEN, scopes: ['*'] }] : []),
+  ...CONFIG.API_TOKENS
+];
+
+/**
+ * Checks every token so the response time does not reveal which one matched
+ * @param {string} candidate - Token supplied by the client
+ * @param {ApiToken[]} tokens
+ * @returns {Promise<ApiToken|null>}
+ */
+async function findToken(candidate, tokens) {
+  const matches = await Promise.all(tokens.map(({ token }) => timingSafeEqual(candidate, token)));
+  return tokens[matches.indexOf(true)] ?? null;
+}
+
+/**
+ * @param {string} value - Authorization header value after the scheme
+ * @returns {Object<string, string>} key, ts, nonce, sig
+ */
+const parseHmacParams = (value) => Object.fromEntries(
+  value.split(',')
+    .map(part => part.trim())
+    .filter(part => part.includes('='))
+    .map(part => [part.slice(0, part.indexOf('=')).trim(), part.slice(part.indexOf('=') + 1).trim()])
+);
+
+/**
+ * @param {Request} request - Incoming request
+ * @param {string} value - Authorization header value after the scheme
+ * @param {ApiToken[]} tokens
+ * @returns {Promise<{token: ApiToken|null, reason?: string}>}
+ */
+async function verifyHmac(request, value, tokens) {
+  const { key, ts, nonce, sig } = parseHmacParams(value);
+  if (!key || !ts || !nonce || !sig) {
+    return { token: null, reason: 'Malformed HMAC authorization' };
+  }
+
+  const timestamp = Number(ts);
+  if (!Number.isFinite(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > HMAC_MAX_SKEW_SECONDS) {
+    return { token: null, reason: 'Expired HMAC timestamp' };
+  }
+
+  const token = tokens.find(candidate => candidate.name === key);
+  if (!token) {
+    return { token: null, reason: 'Invalid credentials' };
+  }
+
+  const url = new URL(request.url);
+  const bodyHash = await generateSHA256(await request.clone().text());
+  const expected = await generateHMACSHA256(
+    token.token,
+    `${ts}\n${nonce}\n${request.method}\n${url.pathname}${url.search}\n${bodyHash}`
+  );
+
+  if (!(await timingSafeEqual(sig.toLowerCase(), expected))) {
+    return { token: null, reason: 'Invalid credentials' };
+  }
+
+  // Per-colo replay protection: a nonce is accepted once within the timestamp window
+  const nonceKey = `${NONCE_PREFIX}${encodeURIComponent(key)}/${encodeURIComponent(nonce)}`;
+  if (await CacheManager.get(nonceKey)) {
+    return { token: null, reason: 'Nonce already used' };
+  }
+  await CacheManager.put(nonceKey, new Response('1'), HMAC_MAX_SKEW_SECONDS * 2);
+
+  return { token };
+}
+
+/**
+ * @param {Request} request - Incoming request
+ * @param {ApiToken[]} tokens
+ * @returns {Promise<{token: ApiToken|null, reason?: string}>}
+ */
+async function resolveCredentials(request, tokens) {
+  const authorization = request.headers.get('Authorization') ?? '';
+  const [scheme, ...rest] = authorization.trim().split(' ');
+  const value = rest.join(' ').trim();
+
+  if (scheme.toLowerCase() === 'bearer' && value) {
+    return { token: await findToken(value, tokens), reason: 'Invalid credentials' };
+  }
+
+  if (scheme.toUpperCase() === HMAC_SCHEME && value) {
+    return verifyHmac(request, value, tokens);
+  }
+
+  const queryToken = new URL(request.url).searchParams.get('token');
+  if (queryToken && CONFIG.AUTH_QUERY_TOKEN_ENABLED) {
+    const token = await findToken(queryToken, tokens);
+    if (token) {
+      Logger.warn('Deprecated ?token= query parameter used, send the token in the Authorization header', {
+        tokenName: token.name
+      });
+    }
+    return { token, reason: 'Invalid credentials' };
+  }
+
+  return { token: null, reason: null };
+}
+
+/**
+ * @param {Request} request - Incoming request
+ * @param {string} scope - Scope the route requires (endpoints, dead-letters, cache, metrics, health)
+ * @returns {Promise<Response|null>} Error response, or null when the request is authorized
+ */
+export async function authenticateRequest(request, scope) {
+  const tokens = getApiTokens();
+
+  if (tokens.length === 0) {
+    Logger.error('ENDPOINTS_API_TOKEN not configured');
+    return errorResponse(
+      'Endpoint not available - ENDPOINTS_API_TOKEN not configured',
+      HTTP_STATUS.SERVICE_UNAVAILABLE
+    );
+  }
+
+  const { pathname } = new URL(request.url);
+  const logContext = { ip: request.headers.get('CF-Connecting-IP') ?? 'unknown', path: pathname };
+  const { token, reason } = await resolveCredentials(request, tokens);
+
+  if (!token && !reason) {
+    Logger.warn('Missing API credentials', logContext);
+    return errorResponse('Unauthorized - Authorization header required', HTTP_STATUS.UNAUTHORIZED);
+  }
+
+  if (!token) {
+    Logger.warn('Rejected API credentials', { ...logContext, reason });
+    return errorResponse(`Unauthorized - ${reason}`, HTTP_STATUS.UNAUTHORIZED);
+  }
+
+  if (!token.scopes.includes('*') && !token.scopes.includes(scope)) {
+    Logger.warn('API token lacks scope', { ...logContext, tokenName: token.name, scope });
+    return errorResponse(`Forbidden - token lacks ${scope} scope`, HTTP_STATUS.FORBIDDEN);
+  }
+
+  Logger.debug('API request authenticated', { tokenName: token.name, scope });
+  return null;
+}
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Bot Filter - Keep crawler, monitor and headless browser hits out of analytics
+ */
+
+import { CONFIG } from '../config/index.js';
+import { Logger } from '../core/logger.js';
+import { Metrics } from './metrics.js';
+import { buildResponse } from '../proxy/response-builder.js';
+import { HTTP_STATUS } from '../utils/constants.js';
+
+/**
+ * Value of GA4's `traffic_type` param (`tt` on collect hits) for tagged bot traffic,
+ * filterable with a GA4 data filter
+ */
+export const BOT_TRAFFIC_TYPE = 'bot';
+
+/**
+ * Crawlers, uptime monitors, performance tools, HTTP libraries and headless browsers.
+ * `(?<!cu)bot` keeps Cubot phones out.
+ */
+const BOT_USER_AGENT_PATTERNS = [
+  /(?<!cu)bot\b/i,
+  /crawl|spider|slurp|facebookexternalhit|mediapartners|adsbot/i,
+  /headlesschrome|phantomjs|puppeteer|playwright|selenium|webdriver/i,
+  /lighthouse|pagespeed|gtmetrix|pingdom|uptimerobot|statuscake|site24x7|betteruptime|checkly|datadog|newrelic|synthetic/i,
+  /^(curl|wget|python-requests|python-urllib|go-http-client|java\/|okhttp|axios|node-fetch|undici|libwww-perl|httpclient)/i
+];
+
+/**
+ * @typedef {Object} BotVerdict
+ * @property {'denylist'|'empty-user-agent'|'user-agent'|'verified-bot'|'bot-score'} reason
+ * @property {string} [match] - Denylist entry or bot score that matched
+ */
+
+/**
+ * Denylist entries are User-Agent substrings, or `AS<number>` for a client ASN.
+ * @param {Request} request - Incoming request
+ * @returns {BotVerdict|null} Why the request looks automated, or null for a likely human
+ */
+export function classifyBot(request) {
+  const userAgent = request.headers.get('User-Agent') ?? '';
+  const lowerUserAgent = userAgent.toLowerCase();
+  const asn = request.cf?.asn;
+
+  const denied = CONFIG.BOT_DENYLIST.find(entry => /^as\d+$/i.test(entry)
+    ? Number(entry.slice(2)) === asn
+    : lowerUserAgent.includes(entry.toLowerCase()));
+  if (denied) {
+    return { reason: 'denylist', match: denied };
+  }
+
+  if (!userAgent.trim()) {
+    return { reason: 'empty-user-agent' };
+  }
+
+  const botManagement = request.cf?.botManagement;
+  if (botManagement?.verifiedBot) {
+    return { reason: 'verified-bot' };
+  }
+
+  // Score 1 is certainly automated, 99 certainly human; 0 means not scored
+  const score = botManagement?.score;
+  if (typeof score === 'number' && score > 0 && score < CONFIG.BOT_SCORE_THRESHOLD) {
+    return { reason: 'bot-score', match: String(score) };
+  }
+
+  if (BOT_USER_AGENT_PATTERNS.some(pattern => pattern.test(userAgent))) {
+    return { reason: 'user-agent' };
+  }
+
+  return null;
+}
+
+/**
+ * @param {Request} request - Incoming request
+ * @param {Object} [options]
+ * @param {string} [options.source] - Handler name for logs
+ * @param {Object} [options.rateLimit] - Rate limit info from worker
+ * @returns {{response: Response|null, bot: BotVerdict|null}} 204 response when the hit is dropped;
+ *   `bot` without a response means the hit must be forwarded tagged
+ */
+export function filterBot(request, { source, rateLimit = null } = {}) {
+  if (!CONFIG.BOT_FILTER_ENABLED) {
+    return { response: null, bot: null };
+  }
+
+  const bot = classifyBot(request);
+  if (!bot) {
+    return { response: null, bot: null };
+  }
+
+  if (CONFIG.BOT_FILTER_ACTION === 'tag') {
+    Metrics.increment('bots_tagged_total', { reason: bot.reason });
+    Logger.debug('Bot hit tagged', { source, ...bot });
+    return { response: null, bot };
+  }
+
+  Metrics.increment('bots_dropped_total', { reason: bot.reason });
+  Logger.debug('Bot hit dropped', { source, ...bot });
+
+  const dropped = new Response(null, {
+    status: HTTP_STATUS.NO_CONTENT,
+    headers: { 'Cache-Control': 'no-store', 'X-Bot-Filter': bot.reason }
+  });
+
+  return { response: buildResponse(dropped, request, { cacheStatus: 'BOT', rateLimit }), bot };
+}
+
+/**
+ * Adds `tt=bot` to GA4 collect hits. Meta has no traffic type param, so `/tr` hits and
+ * every other URL are returned unchanged.
+ * @param {string} targetUrl - Upstream URL with the client query string
+ * @returns {string}
+ */
+export function tagBotHit(targetUrl) {
+  const url = new URL(targetUrl);
+  if (!url.pathname.endsWith('/collect')) return targetUrl;
+
+  url.searchParams.set('tt', BOT_TRAFFIC_TYPE);
+  return url.toString();
+}
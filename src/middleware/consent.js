@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Consent Gate - Serve stubs instead of third-party scripts when consent is missing
+ */
+
+import { CONFIG } from '../config/index.js';
+import { Logger } from '../core/logger.js';
+import { getConsentState } from '../events/consent.js';
+import { buildResponse } from '../proxy/response-builder.js';
+import { parseCookies } from '../utils/request.js';
+import { HTTP_STATUS, PATH_PREFIXES } from '../utils/constants.js';
+
+/**
+ * Consent Mode types a vendor needs before its script or collect endpoint is served
+ */
+const VENDOR_PURPOSES = {
+  facebook: ['ad_storage'],
+  google: ['analytics_storage'],
+  'google-ads': ['ad_storage'],
+  clarity: ['analytics_storage'],
+  quantcast: ['ad_storage'],
+  segment: ['analytics_storage']
+};
+
+/**
+ * No-op scripts that keep the vendor globals callable so storefront code does not throw
+ */
+const GTAG_STUB = 'window.dataLayer=window.dataLayer||[];' +
+  'window.gtag=window.gtag||function(){window.dataLayer.push(arguments);};';
+
+const STUB_SCRIPTS = {
+  facebook: '!function(w){if(w.fbq)return;var n=w.fbq=function(){};' +
+    'n.push=n;n.loaded=!0;n.version="2.0";n.queue=[];n.callMethod=function(){};w._fbq=n;}(window);',
+  google: GTAG_STUB,
+  'google-ads': GTAG_STUB,
+  clarity: 'window.clarity=window.clarity||function(){};'
+};
+
+/**
+ * Shopify `_tracking_consent` values: "1" granted, "0" denied, "" not collected
+ * @param {string} value
+ * @returns {boolean|undefined}
+ */
+const parseShopifyFlag = (value) => (value === '1' ? true : value === '0' ? false : undefined);
+
+/**
+ * Reads the consent cookie. Supports Shopify's `_tracking_consent` (v2.1, `con.CMP`) and CMP
+ * cookies holding Consent Mode keys (`{"ad_storage":"granted",...}`).
+ * @param {Request} request - Incoming request
+ * @returns {Object} Consent signals in /cdn/events shape (`consent` / `customer_privacy`)
+ */
+export function readConsentCookie(request) {
+  const raw = parseCookies(request)[CONFIG.CONSENT_COOKIE_NAME];
+  if (!raw) return {};
+
+  let data;
+  try {
+    data = JSON.parse(raw);
+  } catch {
+    Logger.debug('Unreadable consent cookie', { cookie: CONFIG.CONSENT_COOKIE_NAME });
+    return {};
+  }
+
+  if (!data || typeof data !== 'object') return {};
+
+  const cmp = data.con?.CMP;
+  if (cmp && typeof cmp === 'object') {
+    return {
+      customer_privacy: {
+        analyticsProcessingAllowed: parseShopifyFlag(cmp.a),
+        marketingAllowed: parseShopifyFlag(cmp.m),
+        saleOfDataAllowed: parseShopifyFlag(cmp.s)
+      }
+    };
+  }
+
+  return { consent: data };
+}
+
+/**
+ * @param {string} pathname - Obfuscated script / endpoint path
+ * @returns {string|null} Vendor key for gateByConsent
+ */
+export function getPathVendor(pathname) {
+  if (pathname.startsWith(PATH_PREFIXES.FACEBOOK)) return 'facebook';
+  if (pathname.startsWith(PATH_PREFIXES.GOOGLE) || pathname === PATH_PREFIXES.GTM_FALLBACK) return 'google';
+  return null;
+}
+
+/**
+ * @param {string} vendor - Key of VENDOR_PURPOSES
+ * @returns {boolean} True when the vendor's responses depend on the consent cookie
+ */
+const isGated = (vendor) => CONFIG.SCRIPT_CONSENT_GATING_ENABLED && Boolean(VENDOR_PURPOSES[vendor]);
+
+/**
+ * Adds `Vary: Cookie` to a proxied response of a gated vendor, so browser and shared caches
+ * never serve it to a visitor whose consent differs
+ * @param {Response} response - Response served when consent was granted
+ * @param {string} vendor - Key of VENDOR_PURPOSES
+ * @returns {Response}
+ */
+export function varyByConsent(response, vendor) {
+  if (!isGated(vendor)) {
+    return response;
+  }
+
+  const headers = new Headers(response.headers);
+  headers.append('Vary', 'Cookie');
+
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
+
+/**
+ * @param {Request} request - Incoming request
+ * @param {string} vendor - Key of VENDOR_PURPOSES
+ * @param {Object} [options]
+ * @param {'script'|'collect'} [options.kind='script'] - Stub script or 204 when consent is missing
+ * @param {Object} [options.rateLimit] - Rate limit info from worker
+ * @returns {Response|null} Stub / empty response, or null when the request may be proxied
+ */
+export function gateByConsent(request, vendor, { kind = 'script', rateLimit = null } = {}) {
+  if (!isGated(vendor)) {
+    return null;
+  }
+
+  const state = getConsentState(readConsentCookie(request));
+  const denied = VENDOR_PURPOSES[vendor].filter(type => !state[type]);
+  if (denied.length === 0) {
+    return null;
+  }
+
+  Logger.debug('Consent gate blocked request', { vendor, kind, denied });
+
+  const headers = { 'Cache-Control': 'no-store', 'Vary': 'Cookie', 'X-Consent-Gate': 'blocked' };
+  const blocked = kind === 'collect'
+    ? new Response(null, { status: HTTP_STATUS.NO_CONTENT, headers })
+    : new Response(STUB_SCRIPTS[vendor] ?? '', {
+      status: HTTP_STATUS.OK,
+      headers: { ...headers, 'Content-Type': 'application/javascript; charset=utf-8' }
+    });
+
+  return buildResponse(blocked, request, { cacheStatus: 'CONSENT', rateLimit });
+}
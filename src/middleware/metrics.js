@@ -1,8 +1,161 @@
 /**
- * @fileoverview Metrics collection
+ * @fileoverview Metrics collection - Counters and histograms written to pluggable sinks
+ *
+ * Every point goes to the in-memory sink (served by /metrics and /health) and, when the
+ * METRICS_DATASET binding exists, to Workers Analytics Engine.
  */
 
 import { Logger } from '../core/logger.js';
+import { getRouteClass } from '../core/rate-limit-policies.js';
+
+/**
+ * Upper bounds (ms) of the latency histogram buckets
+ */
+export const LATENCY_BUCKETS_MS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+/**
+ * @typedef {Object} MetricPoint
+ * @property {'counter'|'histogram'} type
+ * @property {string} name - e.g. requests_total, upstream_latency_ms
+ * @property {Object<string, string>} labels - e.g. { route: 'scripts', status: '200' }
+ * @property {number} value - Increment for counters, observation for histograms
+ */
+
+/**
+ * @typedef {Object} MetricsSink
+ * @property {function(MetricPoint): void} write
+ * @property {function(): Object} [snapshot] - Aggregates, for sinks that keep them in memory
+ */
+
+/**
+ * @param {Object<string, string>} labels
+ * @returns {string} `key=value` pairs sorted by key, `total` without labels
+ */
+export const formatLabels = (labels) => Object.keys(labels).sort()
+  .map(key => `${key}=${labels[key]}`)
+  .join(',') || 'total';
+
+/**
+ * Aggregates points for the lifetime of the isolate (default sink, and the one to use in tests)
+ */
+export class MemoryMetricsSink {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.series = new Map();
+    this.since = Date.now();
+  }
+
+  /**
+   * @param {MetricPoint} point
+   */
+  write({ type, name, labels, value }) {
+    const key = `${name}|${formatLabels(labels)}`;
+    let series = this.series.get(key);
+
+    if (!series) {
+      series = type === 'histogram'
+        ? { type, name, labels, count: 0, sum: 0, buckets: LATENCY_BUCKETS_MS.map(() => 0) }
+        : { type, name, labels, value: 0 };
+      this.series.set(key, series);
+    }
+
+    if (type !== 'histogram') {
+      series.value += value;
+      return;
+    }
+
+    series.count++;
+    series.sum += value;
+    LATENCY_BUCKETS_MS.forEach((bound, index) => {
+      if (value <= bound) series.buckets[index]++;
+    });
+  }
+
+  /**
+   * @returns {{since: number, counters: Object[], histograms: Object[]}} Histogram buckets are cumulative, keyed by upper bound
+   */
+  snapshot() {
+    const all = [...this.series.values()];
+
+    return {
+      since: this.since,
+      counters: all.filter(series => series.type === 'counter')
+        .map(({ name, labels, value }) => ({ name, labels, value })),
+      histograms: all.filter(series => series.type === 'histogram')
+        .map(({ name, labels, count, sum, buckets }) => ({
+          name,
+          labels,
+          count,
+          sum,
+          buckets: Object.fromEntries(LATENCY_BUCKETS_MS.map((bound, index) => [bound, buckets[index]]))
+        }))
+    };
+  }
+}
+
+/**
+ * Workers Analytics Engine sink. One data point per metric point:
+ * index1 = name, blob1 = name, blob2 = type, blob3.. = label values in label key order,
+ * double1 = value (1 per counted event, the observation for histograms).
+ */
+export class AnalyticsEngineMetricsSink {
+  /**
+   * @param {AnalyticsEngineDataset} dataset - METRICS_DATASET binding
+   */
+  constructor(dataset) {
+    this.dataset = dataset;
+  }
+
+  /**
+   * @param {MetricPoint} point
+   */
+  write({ type, name, labels, value }) {
+    this.dataset.writeDataPoint({
+      indexes: [name],
+      blobs: [name, type, ...Object.keys(labels).sort().map(key => String(labels[key]))],
+      doubles: [value]
+    });
+  }
+}
+
+const memorySink = new MemoryMetricsSink();
+let metricsSinks = null;
+
+/**
+ * @param {Object} env - Environment bindings from Cloudflare Workers
+ */
+export function initMetrics(env = {}) {
+  if (metricsSinks) return;
+  metricsSinks = env.METRICS_DATASET
+    ? [memorySink, new AnalyticsEngineMetricsSink(env.METRICS_DATASET)]
+    : [memorySink];
+}
+
+/**
+ * @returns {MetricsSink[]}
+ */
+export function getMetricsSinks() {
+  if (!metricsSinks) {
+    metricsSinks = [memorySink];
+  }
+  return metricsSinks;
+}
+
+/**
+ * @param {MetricsSink[]|null} sinks - Sink adapters (null resets to lazy default)
+ */
+export function setMetricsSinks(sinks) {
+  metricsSinks = sinks;
+}
+
+/**
+ * @param {Response} response
+ * @returns {string} `2xx`..`5xx`
+ */
+const getStatusClass = ({ status }) => `${Math.floor(status / 100)}xx`;
 
 export class Metrics {
   /**
@@ -13,7 +166,11 @@ export class Metrics {
   static record(request, response, duration) {
     const { pathname } = new URL(request.url);
     const { status, headers } = response;
-    
+    const route = getRouteClass(request);
+
+    Metrics.increment('requests_total', { route, status: String(status) });
+    Metrics.observe('request_duration_ms', duration, { route, status: getStatusClass(response) });
+
     Logger.info('Request completed', {
       path: pathname,
       status,
@@ -28,7 +185,7 @@ export class Metrics {
   static recordRequest(request) {
     const { pathname } = new URL(request.url);
     const { method, headers } = request;
-    
+
     Logger.info('Request received', {
       method,
       path: pathname,
@@ -36,4 +193,55 @@ export class Metrics {
       ip: headers.get('CF-Connecting-IP')
     });
   }
+
+  /**
+   * @param {string} name - Counter name (e.g. bots_dropped_total)
+   * @param {Object<string, string>} [labels={}] - Breakdown (e.g. { reason: 'user-agent' })
+   * @param {number} [value=1]
+   */
+  static increment(name, labels = {}, value = 1) {
+    Metrics.write({ type: 'counter', name, labels, value });
+  }
+
+  /**
+   * @param {string} name - Histogram name (e.g. upstream_latency_ms)
+   * @param {number} value - Observation in ms
+   * @param {Object<string, string>} [labels={}]
+   */
+  static observe(name, value, labels = {}) {
+    Metrics.write({ type: 'histogram', name, labels, value });
+  }
+
+  /**
+   * A failing sink never breaks the request
+   * @param {MetricPoint} point
+   */
+  static write(point) {
+    for (const sink of getMetricsSinks()) {
+      try {
+        sink.write(point);
+      } catch (error) {
+        Logger.warn('Metrics sink write failed', { metric: point.name, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * @returns {{since: number, counters: Object[], histograms: Object[]}} Aggregates from the first sink that keeps them
+   */
+  static getSnapshot() {
+    const sink = getMetricsSinks().find(candidate => typeof candidate.snapshot === 'function');
+    return sink ? sink.snapshot() : { since: null, counters: [], histograms: [] };
+  }
+
+  /**
+   * @returns {Object<string, Object<string, number>>} Counters since the isolate started, by name then labels
+   */
+  static getCounters() {
+    const counters = {};
+    for (const { name, labels, value } of Metrics.getSnapshot().counters) {
+      counters[name] = { ...counters[name], [formatLabels(labels)]: value };
+    }
+    return counters;
+  }
 }
@@ -8,7 +8,8 @@ import { CacheManager } from '../core/cache.js';
 import { buildProxyHeaders } from '../headers/proxy.js';
 import { buildResponse } from './response-builder.js';
 import { shouldCache, getCacheKey, getCacheTTL } from './cache-strategy.js';
-import { CONFIG } from '../config/index.js';
+import { redactUrl, redactBody, isRedactableBody } from './redaction.js';
+import { CONFIG, getIpPolicy } from '../config/index.js';
 import { HTTP_STATUS } from '../utils/constants.js';
 import { errorResponse } from '../utils/response.js';
 import {
@@ -17,19 +18,34 @@ import {
   isContainerSpecificKey,
   fetchAndCacheOnDemand
 } from '../cache/script-cache.js';
+import { registerContainer } from '../cache/container-registry.js';
+import { Metrics } from '../middleware/metrics.js';
+import { getTraceHeaders } from '../core/request-context.js';
+
+/**
+ * @param {string} targetUrl - Upstream URL
+ * @returns {boolean} Target is our own GTM server container, the only upstream given trace headers
+ */
+const isGtmServerUrl = (targetUrl) => Boolean(CONFIG.GTM_SERVER_URL) && targetUrl.startsWith(CONFIG.GTM_SERVER_URL);
 
 export async function proxyRequest(targetUrl, request, options = {}) {
   const { 
     preserveHeaders = false, 
     allowCache = false, 
-    rateLimit = null 
+    rateLimit = null,
+    destination,
+    ctx = null
   } = options;
 
   try {
     const scriptKey = identifyScriptKey(targetUrl);
     if (scriptKey) {
       // Try cached version first
-      let cachedScript = await getScriptFromCache(scriptKey);
+      let cachedScript = await getScriptFromCache(scriptKey, { targetUrl, ctx });
+      Metrics.increment('cache_lookups_total', {
+        cache: 'script',
+        result: !cachedScript ? 'miss' : cachedScript.headers.get('X-Cache-Status') === 'stale' ? 'stale' : 'hit'
+      });
 
       // On-demand fetch if not cached (container-specific scripts like gtm:GTM-XXX)
       if (!cachedScript && isContainerSpecificKey(scriptKey)) {
@@ -38,6 +54,12 @@ export async function proxyRequest(targetUrl, request, options = {}) {
       }
 
       if (cachedScript) {
+        if (isContainerSpecificKey(scriptKey)) {
+          // Served containers are refreshed by the cron before their cache expires
+          const registration = registerContainer(scriptKey, targetUrl);
+          ctx?.waitUntil(registration);
+        }
+
         const cacheStatus = cachedScript.headers?.get('X-Cache-Status') || 'HIT-SCRIPT';
         Logger.debug('Script served', { scriptKey, cacheStatus, url: targetUrl });
 
@@ -53,6 +75,8 @@ export async function proxyRequest(targetUrl, request, options = {}) {
 
     if (canCache) {
       const cached = await CacheManager.get(cacheKey);
+      Metrics.increment('cache_lookups_total', { cache: 'response', result: cached ? 'hit' : 'miss' });
+
       if (cached) {
         Logger.debug('Cache hit', { url: targetUrl });
 
@@ -64,16 +88,24 @@ export async function proxyRequest(targetUrl, request, options = {}) {
     }
 
     const requestClone = request.clone();
-    const headers = buildProxyHeaders(request, preserveHeaders);
+    const headers = buildProxyHeaders(request, preserveHeaders, getIpPolicy(destination));
+    if (isGtmServerUrl(targetUrl)) {
+      Object.entries(getTraceHeaders()).forEach(([name, value]) => headers.set(name, value));
+    }
+
+    let body = !['GET', 'HEAD'].includes(request?.method)
+      ? requestClone.body
+      : undefined;
+    if (isRedactableBody(request)) {
+      body = redactBody(await requestClone.text());
+    }
 
     let response;
     try {
-      response = await fetchWithTimeout(targetUrl, {
+      response = await fetchWithTimeout(redactUrl(targetUrl), {
         method: request.method,
         headers,
-        body: !['GET', 'HEAD'].includes(request?.method) 
-          ? requestClone.body
-          : undefined,
+        body,
         redirect: 'follow'
       });
     } catch (fetchError) {
@@ -0,0 +1,140 @@
+/**
+ * @fileoverview Redaction - Remove PII from forwarded query strings and URL-encoded bodies
+ */
+
+import { CONFIG } from '../config/index.js';
+import { Logger } from '../core/logger.js';
+import { truncateIP } from '../utils/ip.js';
+
+const REDACTED = '[redacted]';
+
+// Matches plain and percent-encoded addresses (page URLs carry `?email=a%40b.com`)
+const EMAIL_PATTERN = /[a-z0-9._%+-]+(?:@|%40)[a-z0-9.-]+\.[a-z]{2,}/gi;
+
+const REDACTABLE_BODY_TYPES = ['text/plain', 'application/x-www-form-urlencoded'];
+
+/**
+ * @typedef {Object} RedactionRule
+ * @property {string[]} params - Param names; `*` matches any characters (`ep.*`, `cd[*]`)
+ * @property {'drop'|'redact-email'|'truncate-ip'} action
+ */
+
+/**
+ * GA4 (`/g/collect`, `/x/{uuid}`) and Meta (`/tr`) hit parameters
+ * @type {RedactionRule[]}
+ */
+export const DEFAULT_REDACTION_RULES = [
+  { params: ['dl', 'dr', 'dt', 'ep.*', 'up.*'], action: 'redact-email' },
+  { params: ['rl', 'cd[*]'], action: 'redact-email' },
+  { params: ['uip', '_uip'], action: 'drop' }
+];
+
+const ACTIONS = {
+  'drop': () => null,
+  'redact-email': (value) => value.replace(EMAIL_PATTERN, REDACTED),
+  'truncate-ip': (value) => truncateIP(value) ?? value
+};
+
+let compiledSource = null;
+let compiledRules = [];
+
+/**
+ * @returns {{matchers: RegExp[], apply: (value: string) => string|null}[]}
+ */
+function getCompiledRules() {
+  const source = Array.isArray(CONFIG.REDACTION_RULES) ? CONFIG.REDACTION_RULES : DEFAULT_REDACTION_RULES;
+  if (source === compiledSource) return compiledRules;
+
+  compiledRules = source
+    .filter(rule => ACTIONS[rule?.action] && Array.isArray(rule.params))
+    .map(rule => ({
+      matchers: rule.params.map(param =>
+        new RegExp(`^${param.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`)),
+      apply: ACTIONS[rule.action]
+    }));
+  compiledSource = source;
+
+  return compiledRules;
+}
+
+/**
+ * @param {URLSearchParams} params - Modified in place
+ * @returns {number} Number of params changed or removed
+ */
+function redactParams(params) {
+  const rules = getCompiledRules();
+  let changed = 0;
+
+  for (const [name, value] of [...params.entries()]) {
+    let result = value;
+
+    for (const rule of rules) {
+      if (result !== null && rule.matchers.some(matcher => matcher.test(name))) {
+        result = rule.apply(result);
+      }
+    }
+
+    if (result === value) continue;
+
+    changed++;
+    if (result === null) {
+      params.delete(name);
+    } else {
+      params.set(name, result);
+    }
+  }
+
+  return changed;
+}
+
+/**
+ * @param {string} targetUrl - Upstream URL with the client query string
+ * @returns {string} URL with redacted params (unchanged when nothing matched)
+ */
+export function redactUrl(targetUrl) {
+  if (!CONFIG.REDACTION_ENABLED) return targetUrl;
+
+  const url = new URL(targetUrl);
+  if (!url.search) return targetUrl;
+
+  const changed = redactParams(url.searchParams);
+  if (changed === 0) return targetUrl;
+
+  Logger.debug('Redacted query params', { host: url.hostname, changed });
+  return url.toString();
+}
+
+/**
+ * @param {Request} request - Client request
+ * @returns {boolean} True when the body is URL-encoded hit data that redactBody can rewrite
+ */
+export function isRedactableBody(request) {
+  if (!CONFIG.REDACTION_ENABLED || ['GET', 'HEAD'].includes(request.method)) return false;
+
+  const contentType = (request.headers.get('Content-Type') ?? 'text/plain').toLowerCase();
+  return REDACTABLE_BODY_TYPES.some(type => contentType.startsWith(type));
+}
+
+/**
+ * GA4 batches one URL-encoded hit per line; Meta `/tr` posts a single form-encoded body.
+ * @param {string} body - Request body
+ * @returns {string} Body with redacted params (unchanged when nothing matched)
+ */
+export function redactBody(body) {
+  if (!body) return body;
+
+  let changed = 0;
+  const lines = body.split('\n').map(line => {
+    if (!line.includes('=')) return line;
+
+    const params = new URLSearchParams(line);
+    const lineChanged = redactParams(params);
+    changed += lineChanged;
+    return lineChanged > 0 ? params.toString() : line;
+  });
+
+  if (changed === 0) return body;
+
+  Logger.debug('Redacted body params', { changed });
+  return lines.join('\n');
+}
@@ -8,6 +8,9 @@ import { handleScriptProxy } from '../handlers/scripts.js';
 import { handleEndpointProxy } from '../handlers/endpoints.js';
 import { handleEndpointsInfo } from '../handlers/endpoints-info.js';
 import { handleEventProxy } from '../handlers/events.js';
+import { handleDeadLetters } from '../handlers/dead-letters.js';
+import { handleCacheAdmin } from '../handlers/cache-admin.js';
+import { handleMetrics } from '../handlers/metrics.js';
 import { handleLibProxy } from '../handlers/lib-proxy.js';
 import { handleDynamicProxy, extractUuidFromPath } from '../handlers/dynamic-proxy.js';
 import { getScriptMap, getEndpointMap } from './mapping.js';
@@ -19,9 +22,10 @@ export class Router {
   /**
    * @param {Request} request
    * @param {Object} [rateLimit=null]
+   * @param {ExecutionContext} [ctx=null] - Worker execution context for background work
    * @returns {Promise<Response>}
    */
-  static async route(request, rateLimit = null) {
+  static async route(request, rateLimit = null, ctx = null) {
     const { _parsedUrl, url, method } = request;
     const { pathname, search } = _parsedUrl ?? new URL(url);
 
@@ -37,6 +41,18 @@ export class Router {
       return handleEndpointsInfo(request);
     }
 
+    if (pathname.startsWith('/admin/dead-letters')) {
+      return handleDeadLetters(request);
+    }
+
+    if (pathname === '/admin/cache' || pathname.startsWith('/admin/cache/')) {
+      return handleCacheAdmin(request);
+    }
+
+    if (pathname === '/metrics' && method === 'GET') {
+      return handleMetrics(request);
+    }
+
     if (pathname === '/cdn/events' && method === 'POST') {
       return handleEventProxy(request, rateLimit);
     }
@@ -52,7 +68,7 @@ export class Router {
       if (pathname.startsWith(PATH_PREFIXES.FACEBOOK)) {
         return method === 'POST'
           ? handleEndpointProxy(request, rateLimit)
-          : handleScriptProxy(request, rateLimit);
+          : handleScriptProxy(request, rateLimit, ctx);
       }
 
       if (pathname.startsWith(PATH_PREFIXES.GOOGLE)) {
@@ -60,12 +76,12 @@ export class Router {
 
         return isTrackingHit
           ? handleEndpointProxy(request, rateLimit)
-          : handleScriptProxy(request, rateLimit);
+          : handleScriptProxy(request, rateLimit, ctx);
       }
 
       return endpointMap[pathname]
         ? handleEndpointProxy(request, rateLimit)
-        : handleScriptProxy(request, rateLimit);
+        : handleScriptProxy(request, rateLimit, ctx);
     }
 
     if (pathname.startsWith('/x/')) {
@@ -76,11 +92,11 @@ export class Router {
     }
 
     if (pathname.startsWith('/lib/')) {
-      return handleLibProxy(request);
+      return handleLibProxy(request, rateLimit);
     }
 
     if (['/cdn/', '/assets/', '/static/'].some(prefix => pathname.startsWith(prefix))) {
-      return handleScriptProxy(request, rateLimit);
+      return handleScriptProxy(request, rateLimit, ctx);
     }
 
     if (pathname === PATH_PREFIXES.GTM_FALLBACK && CONFIG.GTM_SERVER_URL) {
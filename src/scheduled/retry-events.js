@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Scheduled event retries - Drains the retry queue from the Cloudflare Cron handler
+ */
+
+import { Logger } from '../core/logger.js';
+import { CONFIG } from '../config/index.js';
+import { getDestination } from '../events/destinations.js';
+import { forwardToDestination } from '../events/dispatcher.js';
+import { getRetryQueue, computeNextAttemptAt } from '../events/retry-queue.js';
+import { createTraceContext, runWithRequestContext } from '../core/request-context.js';
+
+/**
+ * @returns {Promise<Object>}
+ */
+export async function processRetryQueue() {
+  const queue = getRetryQueue();
+  const startTime = Date.now();
+
+  const purged = await purgeDeadLetters(queue, startTime);
+  const jobs = await queue.due(startTime, CONFIG.RETRY_QUEUE_BATCH_SIZE);
+
+  if (jobs.length === 0) {
+    Logger.debug('Retry queue empty, nothing to do');
+    return { processed: 0, delivered: 0, rescheduled: 0, deadLettered: 0, purged };
+  }
+
+  Logger.info('Processing event retry queue', { due: jobs.length });
+
+  const outcomes = await Promise.all(jobs.map(async (job) => {
+    try {
+      // Logs and the GTM forward carry the trace of the request that ingested the event
+      const context = createTraceContext({ traceId: job.traceId ?? undefined, requestId: job.requestId ?? undefined });
+      return await runWithRequestContext(context, () => retryJob(queue, job));
+    } catch (error) {
+      Logger.error('Unexpected error retrying event forward', {
+        id: job.id,
+        destination: job.destination,
+        error: error?.message
+      });
+      return 'error';
+    }
+  }));
+
+  const count = (outcome) => outcomes.filter(o => o === outcome).length;
+  const summary = {
+    processed: jobs.length,
+    delivered: count('delivered'),
+    rescheduled: count('rescheduled'),
+    deadLettered: count('dead-lettered'),
+    errors: count('error'),
+    purged,
+    duration: Date.now() - startTime
+  };
+
+  Logger.info('Event retry queue processed', summary);
+
+  return summary;
+}
+
+/**
+ * Enforces RETRY_QUEUE_DEAD_LETTER_TTL and RETRY_QUEUE_MAX_DEAD_LETTERS
+ * @param {Object} queue - Retry queue adapter
+ * @param {number} now - Epoch ms
+ * @returns {Promise<number>} Dead letters deleted (0 when the purge failed)
+ */
+async function purgeDeadLetters(queue, now) {
+  try {
+    const purged = await queue.purgeDeadLetters(now, {
+      maxAge: CONFIG.RETRY_QUEUE_DEAD_LETTER_TTL * 1000,
+      maxCount: CONFIG.RETRY_QUEUE_MAX_DEAD_LETTERS
+    });
+
+    if (purged > 0) {
+      Logger.info('Expired dead letters purged', { purged });
+    }
+    return purged;
+  } catch (error) {
+    Logger.error('Failed to purge dead letters', { error: error.message });
+    return 0;
+  }
+}
+
+/**
+ * @param {Object} queue - Retry queue adapter
+ * @param {import('../events/retry-queue.js').RetryJob} job
+ * @returns {Promise<'delivered'|'rescheduled'|'dead-lettered'>}
+ */
+async function retryJob(queue, job) {
+  const destination = getDestination(job.destination);
+
+  if (!destination?.isEnabled()) {
+    await queue.deadLetter({ ...job, lastError: 'destination_unavailable' });
+    Logger.warn('Retry dead-lettered, destination no longer enabled', { id: job.id, destination: job.destination });
+    return 'dead-lettered';
+  }
+
+  const result = await forwardToDestination(destination, job.eventData, job.clientInfo, { retries: 0 });
+
+  if (result.accepted || result.skipped) {
+    await queue.remove(job.id);
+    Logger.info('Retried event delivered', {
+      id: job.id,
+      destination: job.destination,
+      event_name: job.eventData?.event_name,
+      attempts: job.attempts + 1
+    });
+    return 'delivered';
+  }
+
+  const attempts = job.attempts + 1;
+  const failedJob = { ...job, attempts, lastError: result.error ?? null };
+
+  if (!result.retryable || attempts >= CONFIG.RETRY_QUEUE_MAX_ATTEMPTS) {
+    await queue.deadLetter(failedJob);
+    Logger.error('Event forward dead-lettered', {
+      id: job.id,
+      destination: job.destination,
+      event_name: job.eventData?.event_name,
+      attempts,
+      error: failedJob.lastError
+    });
+    return 'dead-lettered';
+  }
+
+  await queue.update({ ...failedJob, nextAttemptAt: computeNextAttemptAt(attempts) });
+  return 'rescheduled';
+}
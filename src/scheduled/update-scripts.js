@@ -4,21 +4,22 @@
 
 import { Logger } from '../core/logger.js';
 import { fetchAndCompareScript, SCRIPT_URLS } from '../cache/script-cache.js';
+import { getKnownContainers } from '../cache/container-registry.js';
 
 /**
+ * Refreshes the static scripts and every known GTM / gtag container
+ * (GTM_CONTAINER_IDS, GTM_CONTAINER_ALIASES and containers registered by traffic).
  * @returns {Promise<Object>}
  */
 export async function updateScripts() {
   Logger.info('Starting scheduled script cache update');
 
   const startTime = Date.now();
-  const results = {
-    fbevents: null,
-    gtm: null,
-    gtag: null
-  };
+  const containers = await getKnownContainers();
+  const scripts = { ...SCRIPT_URLS, ...containers };
+  const results = {};
 
-  const updatePromises = Object.entries(SCRIPT_URLS).map(async ([scriptKey, url]) => {
+  const updatePromises = Object.entries(scripts).map(async ([scriptKey, url]) => {
     try {
       const result = await fetchAndCompareScript(url, scriptKey);
       results[scriptKey] = result;
@@ -56,6 +57,7 @@ export async function updateScripts() {
   Logger.info('Scheduled script cache update completed', {
     duration: `${duration}ms`,
     total: allResults.length,
+    containers: Object.keys(containers).length,
     updated: updatedCount,
     unchanged: allResults.length - updatedCount - errorCount,
     errors: errorCount,
@@ -72,6 +74,7 @@ export async function updateScripts() {
     duration,
     updated: updatedCount,
     total: allResults.length,
+    containers: Object.keys(containers),
     results
   };
 }
@@ -4,8 +4,11 @@
 
 export const HTTP_STATUS = {
   OK: 200,
+  ACCEPTED: 202,
   NO_CONTENT: 204,
   BAD_REQUEST: 400,
+  UNAUTHORIZED: 401,
+  FORBIDDEN: 403,
   NOT_FOUND: 404,
   PAYLOAD_TOO_LARGE: 413,
   TOO_MANY_REQUESTS: 429,
@@ -24,6 +27,7 @@ export const HEADERS = {
   X_RATELIMIT_LIMIT: 'X-RateLimit-Limit',
   X_RATELIMIT_REMAINING: 'X-RateLimit-Remaining',
   X_RATELIMIT_RESET: 'X-RateLimit-Reset',
+  X_RATELIMIT_POLICY: 'X-RateLimit-Policy',
   X_ROBOTS_TAG: 'X-Robots-Tag',
   CONTENT_SECURITY_POLICY: 'Content-Security-Policy',
   X_CONTENT_TYPE_OPTIONS: 'X-Content-Type-Options',
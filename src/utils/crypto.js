@@ -1,7 +1,13 @@
 /**
- * @fileoverview Cryptographic utilities - SHA-256 hash generation
+ * @fileoverview Cryptographic utilities - SHA-256 / HMAC generation and constant-time comparison
  */
 
+/**
+ * @param {ArrayBuffer} buffer
+ * @returns {string}
+ */
+const toHex = (buffer) => Array.from(new Uint8Array(buffer)).map(b => b.toString(16).padStart(2, '0')).join('');
+
 /**
  * @param {string} text
  * @returns {Promise<string>}
@@ -10,7 +16,44 @@ export async function generateSHA256(text) {
   const encoder = new TextEncoder();
   const data = encoder.encode(text);
   const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  const hashHex = hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-  return hashHex;
+  return toHex(hashBuffer);
+}
+
+/**
+ * @param {string} secret - HMAC key
+ * @param {string} message
+ * @returns {Promise<string>} Hex HMAC-SHA256
+ */
+export async function generateHMACSHA256(secret, message) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  return toHex(await crypto.subtle.sign('HMAC', key, encoder.encode(message)));
+}
+
+/**
+ * Compares SHA-256 digests so neither the content nor the length of `expected` leaks through timing
+ * @param {string} actual - Value supplied by the client
+ * @param {string} expected - Secret value
+ * @returns {Promise<boolean>}
+ */
+export async function timingSafeEqual(actual, expected) {
+  const encoder = new TextEncoder();
+  const [a, b] = await Promise.all([
+    crypto.subtle.digest('SHA-256', encoder.encode(actual)),
+    crypto.subtle.digest('SHA-256', encoder.encode(expected))
+  ]);
+
+  const left = new Uint8Array(a);
+  const right = new Uint8Array(b);
+  let diff = 0;
+  for (let i = 0; i < left.length; i++) {
+    diff |= left[i] ^ right[i];
+  }
+  return diff === 0;
 }
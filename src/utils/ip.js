@@ -0,0 +1,40 @@
+/**
+ * @fileoverview IP utilities - Address anonymization helpers
+ */
+
+const IPV4_PATTERN = /^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/;
+
+/**
+ * Zeroes the host part: last octet for IPv4 (/24), everything after the first three groups for IPv6 (/48).
+ * @param {string} ip - IPv4 or IPv6 address
+ * @returns {string|null} Truncated address, or null when the value is not an IP address
+ */
+export function truncateIP(ip) {
+  const value = String(ip ?? '').trim();
+
+  const ipv4 = value.match(IPV4_PATTERN);
+  if (ipv4) {
+    return `${ipv4[1]}.${ipv4[2]}.${ipv4[3]}.0`;
+  }
+
+  if (value.includes(':') && /^[0-9a-f:.]+$/i.test(value)) {
+    const [head] = value.split('::');
+    const groups = head.split(':').filter(Boolean).slice(0, 3);
+    while (groups.length < 3) groups.push('0');
+    return `${groups.join(':')}::`;
+  }
+
+  return null;
+}
+
+/**
+ * @param {string|null} ip - Client IP address
+ * @param {'full'|'truncate'|'country-only'|'none'} policy - IP policy
+ * @returns {string|null} Address to forward, or null when the policy forwards none
+ */
+export function anonymizeIP(ip, policy) {
+  if (!ip || ip === 'unknown') return null;
+  if (policy === 'full') return ip;
+  if (policy === 'truncate') return truncateIP(ip);
+  return null;
+}
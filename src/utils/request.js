@@ -9,3 +9,28 @@
 export function getParsedUrl(request) {
   return new URL(request.url);
 }
+
+/**
+ * @param {Request} request
+ * @returns {Object<string, string>}
+ */
+export function parseCookies(request) {
+  const cookieHeader = request.headers.get('Cookie');
+  if (!cookieHeader) return {};
+
+  return Object.fromEntries(
+    cookieHeader.split(';')
+      .map(pair => pair.trim())
+      .filter(pair => pair.includes('='))
+      .map(pair => {
+        const index = pair.indexOf('=');
+        const name = pair.slice(0, index).trim();
+        const value = pair.slice(index + 1).trim();
+        try {
+          return [name, decodeURIComponent(value)];
+        } catch {
+          return [name, value];
+        }
+      })
+  );
+}
@@ -0,0 +1,25 @@
+/**
+ * @fileoverview In-memory stand-in for the Workers Cache API (`caches.default`)
+ */
+
+/**
+ * @returns {{default: {match: Function, put: Function, delete: Function}}}
+ */
+export function createCacheStorage() {
+  const entries = new Map();
+  const toKey = (request) => (typeof request === 'string' ? request : request.url);
+
+  return {
+    default: {
+      async match(request) {
+        return entries.get(toKey(request))?.clone();
+      },
+      async put(request, response) {
+        entries.set(toKey(request), response.clone());
+      },
+      async delete(request) {
+        return entries.delete(toKey(request));
+      }
+    }
+  };
+}
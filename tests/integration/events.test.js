@@ -0,0 +1,73 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import worker from '../../worker.js';
+import { getRetryQueue } from '../../src/events/retry-queue.js';
+import { createCacheStorage } from '../helpers/cache.js';
+
+const env = {
+  GA4_API_SECRET: 'secret',
+  GA4_MEASUREMENT_ID: 'G-TEST123',
+  EVENT_DESTINATIONS: 'ga4',
+  LOG_LEVEL: 'error'
+};
+
+const ctx = { waitUntil: () => {} };
+
+/**
+ * @param {Object|Object[]} body - Event or batch
+ * @returns {Promise<Response>}
+ */
+const postEvents = (body) => worker.fetch(new Request('https://shop.example.com/cdn/events', {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', 'CF-Connecting-IP': '203.0.113.7', Origin: 'https://shop.example.com' },
+  body: JSON.stringify(body)
+}), env, ctx);
+
+describe('POST /cdn/events', () => {
+  let upstream;
+  let status;
+
+  beforeEach(() => {
+    vi.stubGlobal('caches', createCacheStorage());
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    upstream = [];
+    status = 204;
+    vi.stubGlobal('fetch', vi.fn(async (url, init) => {
+      upstream.push({ url: String(url), body: JSON.parse(init.body) });
+      return new Response(null, { status });
+    }));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  it('should forward a batch as one GA4 request per client and report each event', async () => {
+    const response = await postEvents([
+      { event_name: 'page_view', client_id: '1.1', event_id: 'batch-1' },
+      { event_name: 'view_item', client_id: '1.1', event_id: 'batch-2' },
+      { event_name: 'page_view', client_id: '2.2', event_id: 'batch-3' }
+    ]);
+    const body = await response.json();
+
+    expect(response.status).toBe(200);
+    expect(body.results).toHaveLength(3);
+    expect(upstream.map(({ body: payload }) => payload.events.length).sort()).toEqual([1, 2]);
+    expect(upstream[0].url).toContain('api_secret=secret');
+  });
+
+  it('should not forward an event_id twice', async () => {
+    await postEvents({ event_name: 'purchase', client_id: '1.1', event_id: 'dup-1', transaction_id: 'T-1', value: 10, currency: 'USD' });
+    await postEvents({ event_name: 'purchase', client_id: '1.1', event_id: 'dup-1', transaction_id: 'T-1', value: 10, currency: 'USD' });
+
+    expect(upstream).toHaveLength(1);
+  });
+
+  it('should queue forwards the upstream keeps failing', async () => {
+    status = 503;
+
+    await postEvents({ event_name: 'page_view', client_id: '1.1', event_id: 'retry-1' });
+
+    expect((await getRetryQueue().stats()).pending).toBe(1);
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { initConfig } from '../../src/config/index.js';
+import { authenticateRequest } from '../../src/middleware/auth.js';
+import { generateSHA256, generateHMACSHA256 } from '../../src/utils/crypto.js';
+import { createCacheStorage } from '../helpers/cache.js';
+
+const API_TOKENS = JSON.stringify([
+  { name: 'n8n', token: 'n8n-secret', scopes: ['endpoints'] },
+  { name: 'ops', token: 'ops-secret', scopes: ['*'] }
+]);
+
+/**
+ * @param {Object} options
+ * @returns {Promise<string>} HMAC Authorization header for a GET request
+ */
+async function signRequest({ key = 'n8n', secret = 'n8n-secret', url, ts = Math.floor(Date.now() / 1000), nonce = crypto.randomUUID(), body = '' }) {
+  const { pathname, search } = new URL(url);
+  const sig = await generateHMACSHA256(secret, `${ts}\n${nonce}\nGET\n${pathname}${search}\n${await generateSHA256(body)}`);
+  return `HMAC-SHA256 key=${key}, ts=${ts}, nonce=${nonce}, sig=${sig}`;
+}
+
+describe('authenticateRequest', () => {
+  const url = 'https://shop.example.com/endpoints?format=json';
+
+  beforeEach(() => {
+    initConfig({ ENDPOINTS_API_TOKEN: 'default-secret', API_TOKENS, LOG_LEVEL: 'error' });
+    vi.stubGlobal('caches', createCacheStorage());
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should accept a bearer token with the route scope', async () => {
+    const request = new Request(url, { headers: { Authorization: 'Bearer n8n-secret' } });
+
+    expect(await authenticateRequest(request, 'endpoints')).toBeNull();
+  });
+
+  it('should reject a bearer token without the route scope', async () => {
+    const request = new Request(url, { headers: { Authorization: 'Bearer n8n-secret' } });
+
+    expect((await authenticateRequest(request, 'cache')).status).toBe(403);
+  });
+
+  it('should reject missing and unknown credentials', async () => {
+    expect((await authenticateRequest(new Request(url), 'endpoints')).status).toBe(401);
+
+    const request = new Request(url, { headers: { Authorization: 'Bearer wrong' } });
+    expect((await authenticateRequest(request, 'endpoints')).status).toBe(401);
+  });
+
+  it('should reject ?token= unless AUTH_QUERY_TOKEN_ENABLED is set', async () => {
+    const request = new Request(`${url}&token=default-secret`);
+    expect((await authenticateRequest(request, 'endpoints')).status).toBe(401);
+
+    initConfig({ ENDPOINTS_API_TOKEN: 'default-secret', AUTH_QUERY_TOKEN_ENABLED: 'true', LOG_LEVEL: 'error' });
+    expect(await authenticateRequest(new Request(`${url}&token=default-secret`), 'endpoints')).toBeNull();
+  });
+
+  it('should accept a valid HMAC signature once per nonce', async () => {
+    const authorization = await signRequest({ url, nonce: 'nonce-1' });
+
+    expect(await authenticateRequest(new Request(url, { headers: { Authorization: authorization } }), 'endpoints')).toBeNull();
+
+    const replay = await authenticateRequest(new Request(url, { headers: { Authorization: authorization } }), 'endpoints');
+    expect(replay.status).toBe(401);
+    expect(await replay.text()).toContain('Nonce already used');
+  });
+
+  it('should reject HMAC signatures for another URL, secret or time', async () => {
+    const otherUrl = await signRequest({ url: 'https://shop.example.com/endpoints?format=csv' });
+    const otherSecret = await signRequest({ url, secret: 'ops-secret' });
+    const expired = await signRequest({ url, ts: Math.floor(Date.now() / 1000) - 3600 });
+
+    for (const authorization of [otherUrl, otherSecret, expired]) {
+      const response = await authenticateRequest(new Request(url, { headers: { Authorization: authorization } }), 'endpoints');
+      expect(response.status).toBe(401);
+    }
+  });
+});
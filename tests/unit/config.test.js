@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { initConfig, getIpPolicy, getConfigErrors } from '../../src/config/index.js';
+
+describe('getIpPolicy', () => {
+  it('should apply destination overrides to the proxied hits of the same vendor', () => {
+    initConfig({ IP_POLICY: 'full', IP_POLICY_BY_DESTINATION: '{"meta":"truncate","ga4":"country-only"}', LOG_LEVEL: 'error' });
+
+    expect(getIpPolicy('meta')).toBe('truncate');
+    expect(getIpPolicy('facebook')).toBe('truncate');
+    expect(getIpPolicy('google')).toBe('country-only');
+    expect(getIpPolicy('gtm')).toBe('full');
+    expect(getIpPolicy('dynamic')).toBe('full');
+  });
+
+  it('should prefer a vendor key over its destination for proxied hits', () => {
+    initConfig({ IP_POLICY: 'none', IP_POLICY_BY_DESTINATION: '{"meta":"full","facebook":"truncate"}', LOG_LEVEL: 'error' });
+
+    expect(getIpPolicy('facebook')).toBe('truncate');
+    expect(getIpPolicy('meta')).toBe('full');
+    expect(getIpPolicy('google')).toBe('none');
+  });
+});
+
+describe('initConfig', () => {
+  it('should keep the default and report invalid values', () => {
+    initConfig({ RATE_LIMIT_REQUESTS: 'abc', IP_POLICY: 'full', IP_POLICY_BY_DESTINATION: '{"meta":"bogus"}', LOG_LEVEL: 'error' });
+
+    expect(getConfigErrors().map(({ key }) => key).sort()).toEqual(['IP_POLICY_BY_DESTINATION', 'RATE_LIMIT_REQUESTS']);
+    expect(getIpPolicy('meta')).toBe('full');
+  });
+});
@@ -0,0 +1,159 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { initConfig } from '../../src/config/index.js';
+import { applyConsent, getConsentState, buildGA4Consent } from '../../src/events/consent.js';
+import { getDestination } from '../../src/events/destinations.js';
+import { gateByConsent, readConsentCookie, varyByConsent } from '../../src/middleware/consent.js';
+import { handleLibProxy } from '../../src/handlers/lib-proxy.js';
+import { createCacheStorage } from '../helpers/cache.js';
+
+const clientInfo = { clientIP: '203.0.113.7', userAgent: 'vitest', referer: '', cookies: { _fbp: 'fb.1.1.1' } };
+
+/**
+ * @param {Object} cmp - Shopify `con.CMP` flags (a, m, s)
+ * @returns {Request} Script request carrying the Shopify consent cookie
+ */
+const requestWithShopifyConsent = (cmp) => new Request('https://shop.example.com/cdn/g/abc', {
+  headers: { Cookie: `_tracking_consent=${JSON.stringify({ con: { CMP: cmp } })}` }
+});
+
+describe('getConsentState', () => {
+  beforeEach(() => {
+    initConfig({ CONSENT_DEFAULT: 'granted', LOG_LEVEL: 'error' });
+  });
+
+  it('should let the most restrictive of Consent Mode and customer_privacy win', () => {
+    const state = getConsentState({
+      consent: { analytics_storage: 'granted', ad_storage: 'granted' },
+      customer_privacy: { analyticsProcessingAllowed: true, marketingAllowed: false }
+    });
+
+    expect(state).toMatchObject({ analytics_storage: true, ad_storage: false, ad_user_data: false });
+  });
+
+  it('should fall back to CONSENT_DEFAULT for missing signals', () => {
+    expect(getConsentState({}).analytics_storage).toBe(true);
+
+    initConfig({ CONSENT_DEFAULT: 'denied', LOG_LEVEL: 'error' });
+    expect(getConsentState({}).analytics_storage).toBe(false);
+  });
+
+  it('should build the GA4 consent field only when the event carries signals', () => {
+    expect(buildGA4Consent({})).toBeNull();
+    expect(buildGA4Consent({ consent: { ad_user_data: 'granted', ad_personalization: 'denied' } }))
+      .toEqual({ ad_user_data: 'GRANTED', ad_personalization: 'DENIED' });
+  });
+});
+
+describe('applyConsent', () => {
+  beforeEach(() => {
+    initConfig({ CONSENT_MODE_ENABLED: 'true', CONSENT_DEFAULT: 'granted', LOG_LEVEL: 'error' });
+  });
+
+  it('should drop Meta events without ad consent', () => {
+    const decision = applyConsent(getDestination('meta'), {
+      event_name: 'purchase',
+      consent: { ad_storage: 'denied', ad_user_data: 'denied' }
+    }, clientInfo);
+
+    expect(decision.action).toBe('drop');
+    expect(decision.denied).toEqual(['ad_storage', 'ad_user_data']);
+  });
+
+  it('should redact GA4 identifiers and anonymize the client when analytics_storage is denied', () => {
+    const decision = applyConsent(getDestination('ga4'), {
+      event_name: 'page_view',
+      client_id: '1.1',
+      session_id: '123',
+      user_id: 'customer-42',
+      customer_email: 'buyer@example.com',
+      consent: { analytics_storage: 'denied', ad_user_data: 'granted' }
+    }, clientInfo);
+
+    expect(decision.action).toBe('redact');
+    expect(decision.eventData.user_id).toBeUndefined();
+    expect(decision.eventData.customer_email).toBeUndefined();
+    expect(decision.eventData.session_id).toBeUndefined();
+    expect(decision.eventData.client_id).toMatch(/^anon\./);
+    expect(decision.clientInfo).toMatchObject({ clientIP: 'unknown', cookies: {} });
+  });
+
+  it('should forward everything when CONSENT_MODE_ENABLED is false', () => {
+    initConfig({ CONSENT_MODE_ENABLED: 'false', LOG_LEVEL: 'error' });
+    const eventData = { event_name: 'purchase', consent: { ad_storage: 'denied' } };
+
+    expect(applyConsent(getDestination('meta'), eventData, clientInfo).action).toBe('forward');
+  });
+});
+
+describe('gateByConsent', () => {
+  beforeEach(() => {
+    initConfig({ SCRIPT_CONSENT_GATING_ENABLED: 'true', CONSENT_DEFAULT: 'denied', LOG_LEVEL: 'error' });
+  });
+
+  it('should read the Shopify consent cookie', () => {
+    expect(readConsentCookie(requestWithShopifyConsent({ a: '1', m: '0', s: '' }))).toEqual({
+      customer_privacy: { analyticsProcessingAllowed: true, marketingAllowed: false, saleOfDataAllowed: undefined }
+    });
+  });
+
+  it('should let the request through when the vendor purposes are granted', () => {
+    expect(gateByConsent(requestWithShopifyConsent({ a: '1', m: '0' }), 'google')).toBeNull();
+  });
+
+  it('should serve a stub script when consent is missing', async () => {
+    const response = gateByConsent(requestWithShopifyConsent({ a: '1', m: '0' }), 'facebook');
+
+    expect(response.status).toBe(200);
+    expect(response.headers.get('X-Consent-Gate')).toBe('blocked');
+    expect(response.headers.get('Vary')).toContain('Cookie');
+    expect(await response.text()).toContain('fbq');
+  });
+
+  it('should answer collect requests without consent with 204', () => {
+    const response = gateByConsent(new Request('https://shop.example.com/cdn/f/tr'), 'facebook', { kind: 'collect' });
+
+    expect(response.status).toBe(204);
+  });
+
+  it('should not gate when SCRIPT_CONSENT_GATING_ENABLED is false', () => {
+    initConfig({ SCRIPT_CONSENT_GATING_ENABLED: 'false', LOG_LEVEL: 'error' });
+
+    expect(gateByConsent(new Request('https://shop.example.com/cdn/f/abc'), 'facebook')).toBeNull();
+  });
+});
+
+describe('varyByConsent', () => {
+  beforeEach(() => {
+    initConfig({ SCRIPT_CONSENT_GATING_ENABLED: 'true', CONSENT_DEFAULT: 'denied', LOG_LEVEL: 'error' });
+    vi.stubGlobal('caches', createCacheStorage());
+    vi.stubGlobal('fetch', vi.fn(async () => new Response('/* fbevents */', {
+      status: 200,
+      headers: { 'Content-Type': 'application/javascript', 'Vary': 'Accept-Encoding' }
+    })));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should add Vary: Cookie to responses of gated vendors only', () => {
+    const response = new Response('ok', { headers: { 'Vary': 'Accept-Encoding' } });
+
+    expect(varyByConsent(response, 'facebook').headers.get('Vary')).toBe('Accept-Encoding, Cookie');
+    expect(varyByConsent(response, 'unknown')).toBe(response);
+
+    initConfig({ SCRIPT_CONSENT_GATING_ENABLED: 'false', LOG_LEVEL: 'error' });
+    expect(varyByConsent(response, 'facebook')).toBe(response);
+  });
+
+  it('should vary proxied library scripts on the consent cookie', async () => {
+    const request = new Request('https://shop.example.com/lib/fbevents', {
+      headers: { Cookie: `_tracking_consent=${JSON.stringify({ con: { CMP: { a: '1', m: '1', s: '1' } } })}` }
+    });
+
+    const response = await handleLibProxy(request);
+
+    expect(await response.text()).toBe('/* fbevents */');
+    expect(response.headers.get('Vary')).toContain('Cookie');
+  });
+});
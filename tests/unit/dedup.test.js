@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { initConfig } from '../../src/config/index.js';
+import { MemoryDedupStore, setDedupStore, getDedupKey, claimEvents, releaseClaims } from '../../src/events/dedup.js';
+
+describe('getDedupKey', () => {
+  it('should key purchases by transaction_id across Shopify and GA4 event names', () => {
+    expect(getDedupKey({ event_name: 'checkout_completed', transaction_id: '1001' }))
+      .toBe(getDedupKey({ event_name: 'purchase', transaction_id: '1001' }));
+  });
+
+  it('should fall back to event_id and return null without identifiers', () => {
+    expect(getDedupKey({ event_name: 'page_view', event_id: 'abc' })).toBe('evt:abc');
+    expect(getDedupKey({ event_name: 'page_view' })).toBeNull();
+  });
+});
+
+describe('claimEvents', () => {
+  let store;
+
+  beforeEach(() => {
+    initConfig({ EVENT_DEDUP_ENABLED: 'true', EVENT_DEDUP_TTL: '3600', LOG_LEVEL: 'error' });
+    store = new MemoryDedupStore();
+    setDedupStore(store);
+  });
+
+  afterEach(() => {
+    setDedupStore(null);
+  });
+
+  it('should flag events seen in a previous request', async () => {
+    const [first] = await claimEvents([{ event_name: 'purchase', transaction_id: '1001' }]);
+    const [second] = await claimEvents([{ event_name: 'checkout_completed', transaction_id: '1001' }]);
+
+    expect(first.duplicate).toBe(false);
+    expect(second.duplicate).toBe(true);
+  });
+
+  it('should flag repeats inside the same batch and skip events without identifiers', async () => {
+    const claims = await claimEvents([
+      { event_name: 'add_to_cart', event_id: 'e1' },
+      { event_name: 'add_to_cart', event_id: 'e1' },
+      { event_name: 'page_view' }
+    ]);
+
+    expect(claims.map(claim => claim.duplicate)).toEqual([false, true, false]);
+    expect(claims[2].key).toBeNull();
+  });
+
+  it('should accept the event again once its claim is released', async () => {
+    const claims = await claimEvents([{ event_name: 'purchase', event_id: 'e2' }]);
+    await releaseClaims(claims);
+
+    const [retry] = await claimEvents([{ event_name: 'purchase', event_id: 'e2' }]);
+    expect(retry.duplicate).toBe(false);
+  });
+
+  it('should forget keys after EVENT_DEDUP_TTL', async () => {
+    initConfig({ EVENT_DEDUP_TTL: '60', LOG_LEVEL: 'error' });
+    vi.useFakeTimers({ toFake: ['Date'] });
+
+    await claimEvents([{ event_name: 'purchase', event_id: 'e3' }]);
+    vi.setSystemTime(Date.now() + 61_000);
+    const [again] = await claimEvents([{ event_name: 'purchase', event_id: 'e3' }]);
+    vi.useRealTimers();
+
+    expect(again.duplicate).toBe(false);
+  });
+
+  it('should claim nothing when EVENT_DEDUP_ENABLED is false', async () => {
+    initConfig({ EVENT_DEDUP_ENABLED: 'false', LOG_LEVEL: 'error' });
+
+    const claims = await claimEvents([
+      { event_name: 'purchase', event_id: 'e4' },
+      { event_name: 'purchase', event_id: 'e4' }
+    ]);
+
+    expect(claims).toEqual([{ key: null, duplicate: false }, { key: null, duplicate: false }]);
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { initConfig } from '../../src/config/index.js';
+import { dispatchEvents } from '../../src/events/dispatcher.js';
+import { getDestination } from '../../src/events/destinations.js';
+
+const clientInfo = {
+  clientIP: '203.0.113.7',
+  userAgent: 'vitest',
+  referer: 'https://shop.example.com/',
+  cookies: {}
+};
+
+const granted = { ad_user_data: 'granted', ad_personalization: 'granted' };
+const denied = { ad_user_data: 'denied', ad_personalization: 'denied' };
+
+describe('dispatchEvents', () => {
+  let requests;
+
+  beforeEach(() => {
+    initConfig({ GA4_API_SECRET: 'secret', GA4_MEASUREMENT_ID: 'G-TEST123', CONSENT_MODE_ENABLED: 'false', LOG_LEVEL: 'error' });
+    requests = [];
+    vi.stubGlobal('fetch', vi.fn(async (url, init) => {
+      requests.push({ url, body: JSON.parse(init.body) });
+      return new Response(null, { status: 204 });
+    }));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should merge GA4 events of the same client into one request', async () => {
+    const results = await dispatchEvents([
+      { event_name: 'page_view', client_id: '1.1' },
+      { event_name: 'view_item', client_id: '1.1' },
+      { event_name: 'page_view', client_id: '2.2' }
+    ], clientInfo, [getDestination('ga4')]);
+
+    expect(requests).toHaveLength(2);
+    expect(requests[0].url).toContain('measurement_id=G-TEST123');
+    expect(requests[0].body.events.map(event => event.name)).toEqual(['page_view', 'view_item']);
+    expect(results.map(([result]) => result.batchSize)).toEqual([2, 2, 1]);
+  });
+
+  it('should keep the timestamp of each merged GA4 event', async () => {
+    await dispatchEvents([
+      { event_name: 'page_view', client_id: '1.1', timestamp_micros: '1700000000000000' },
+      { event_name: 'view_item', client_id: '1.1', timestamp_micros: '1700000500000000' }
+    ], clientInfo, [getDestination('ga4')]);
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].body.timestamp_micros).toBeUndefined();
+    expect(requests[0].body.events.map(event => event.timestamp_micros))
+      .toEqual(['1700000000000000', '1700000500000000']);
+  });
+
+  it('should not merge GA4 events whose user_properties differ', async () => {
+    await dispatchEvents([
+      { event_name: 'page_view', client_id: '1.1', user_properties: { tier: { value: 'gold' } } },
+      { event_name: 'view_item', client_id: '1.1', user_properties: { tier: { value: 'silver' } } }
+    ], clientInfo, [getDestination('ga4')]);
+
+    expect(requests).toHaveLength(2);
+    expect(requests.map(({ body }) => body.user_properties.tier.value).sort()).toEqual(['gold', 'silver']);
+  });
+
+  it('should not merge GA4 events whose consent differs', async () => {
+    await dispatchEvents([
+      { event_name: 'page_view', client_id: '1.1', consent: granted },
+      { event_name: 'add_to_cart', client_id: '1.1', consent: denied }
+    ], clientInfo, [getDestination('ga4')]);
+
+    expect(requests).toHaveLength(2);
+    const byEvent = Object.fromEntries(requests.map(({ body }) => [body.events[0].name, body.consent]));
+    expect(byEvent.page_view).toEqual({ ad_user_data: 'GRANTED', ad_personalization: 'GRANTED' });
+    expect(byEvent.add_to_cart).toEqual({ ad_user_data: 'DENIED', ad_personalization: 'DENIED' });
+  });
+
+  it('should not merge GA4 events when only ad_personalization differs under consent mode', async () => {
+    initConfig({ GA4_API_SECRET: 'secret', GA4_MEASUREMENT_ID: 'G-TEST123', LOG_LEVEL: 'error', CONSENT_MODE_ENABLED: 'true' });
+
+    await dispatchEvents([
+      { event_name: 'page_view', client_id: '1.1', consent: granted },
+      { event_name: 'add_to_cart', client_id: '1.1', consent: { ...granted, ad_personalization: 'denied' } }
+    ], clientInfo, [getDestination('ga4')]);
+
+    expect(requests).toHaveLength(2);
+    expect(requests.map(({ body }) => body.consent.ad_personalization).sort()).toEqual(['DENIED', 'GRANTED']);
+  });
+});
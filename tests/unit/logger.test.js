@@ -0,0 +1,139 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { initConfig } from '../../src/config/index.js';
+import { Logger, HttpLogTransport, MemoryLogTransport, setLogTransports } from '../../src/core/logger.js';
+import { runWithRequestContext, createTraceContext } from '../../src/core/request-context.js';
+
+const entry = (message) => ({ level: 'info', message });
+
+describe('HttpLogTransport', () => {
+  let batches;
+
+  beforeEach(() => {
+    initConfig({ LOG_LEVEL: 'debug' });
+    batches = [];
+    vi.stubGlobal('fetch', vi.fn(async (url, init) => {
+      batches.push(init.body.split('\n').map(line => JSON.parse(line).message));
+      return new Response(null, { status: 204 });
+    }));
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should flush only the entries of the flushing request', async () => {
+    const transport = new HttpLogTransport('https://logs.example.com');
+    const requestA = {};
+    const requestB = {};
+
+    transport.write(entry('a1'), requestA);
+    transport.write(entry('b1'), requestB);
+    transport.write(entry('outside'), null);
+    await transport.flush(requestA);
+
+    expect(batches).toEqual([['a1', 'outside']]);
+
+    await transport.flush(requestB);
+    expect(batches[1]).toEqual(['b1']);
+  });
+
+  it('should send entries written after the request was flushed right away', async () => {
+    const transport = new HttpLogTransport('https://logs.example.com');
+    const request = {};
+
+    transport.write(entry('during'), request);
+    await transport.flush(request);
+    transport.write(entry('waitUntil'), request);
+    await vi.waitFor(() => expect(batches).toHaveLength(2));
+
+    expect(batches[1]).toEqual(['waitUntil']);
+    expect(transport.buffers.size).toBe(0);
+  });
+
+  it('should keep buffering after many requests log late entries', async () => {
+    const transport = new HttpLogTransport('https://logs.example.com', { maxBuffer: 500 });
+
+    for (let i = 0; i < 600; i++) {
+      const request = {};
+      await transport.flush(request);
+      transport.write(entry(`late ${i}`), request);
+    }
+
+    const request = {};
+    transport.write(entry('fresh'), request);
+    await transport.flush(request);
+
+    expect(batches.at(-1)).toEqual(['fresh']);
+  });
+
+  it('should cap the buffer of each request separately', async () => {
+    const transport = new HttpLogTransport('https://logs.example.com', { maxBuffer: 2 });
+    const requestA = {};
+    const requestB = {};
+
+    for (const message of ['a1', 'a2', 'a3']) transport.write(entry(message), requestA);
+    transport.write(entry('b1'), requestB);
+    await transport.flush(requestA);
+    await transport.flush(requestB);
+
+    expect(batches).toEqual([['a1', 'a2'], ['b1']]);
+  });
+
+  it('should flush the current request logger through Logger.flush', async () => {
+    const transport = new HttpLogTransport('https://logs.example.com');
+    setLogTransports([transport]);
+
+    const contextA = { ...createTraceContext(), logger: new Logger({ route: 'a' }) };
+    const contextB = { ...createTraceContext(), logger: new Logger({ route: 'b' }) };
+
+    runWithRequestContext(contextA, () => Logger.info('a1'));
+    runWithRequestContext(contextB, () => Logger.info('b1'));
+    await runWithRequestContext(contextA, () => Logger.flush());
+
+    expect(batches).toEqual([['a1']]);
+  });
+});
+
+describe('Logger', () => {
+  let transport;
+
+  beforeEach(() => {
+    initConfig({ LOG_LEVEL: 'info', LOG_REDACTION_ENABLED: 'true' });
+    transport = new MemoryLogTransport();
+    setLogTransports([transport]);
+  });
+
+  it('should skip entries below LOG_LEVEL', () => {
+    Logger.debug('hidden');
+    Logger.info('shown');
+
+    expect(transport.entries.map(({ message }) => message)).toEqual(['shown']);
+  });
+
+  it('should redact secrets, emails and IPs from messages and fields', () => {
+    Logger.info('Forward failed for buyer@example.com', {
+      ip: '203.0.113.7',
+      url: 'https://shop.example.com/endpoints?token=abc123',
+      apiToken: 'abc123'
+    });
+
+    const [logged] = transport.entries;
+    expect(logged.message).not.toContain('buyer@example.com');
+    expect(logged.ip).not.toBe('203.0.113.7');
+    expect(logged.url).not.toContain('abc123');
+    expect(logged.apiToken).not.toBe('abc123');
+  });
+
+  it('should carry the context of the request logger and its children', () => {
+    const logger = new Logger({ requestId: 'req-1' }).child({ route: 'events' });
+    logger.warn('slow upstream', { upstream: 'ga4' });
+
+    expect(transport.entries[0]).toMatchObject({
+      level: 'warn',
+      message: 'slow upstream',
+      requestId: 'req-1',
+      route: 'events',
+      upstream: 'ga4'
+    });
+  });
+});
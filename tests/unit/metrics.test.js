@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { initConfig } from '../../src/config/index.js';
+import { Metrics, MemoryMetricsSink, AnalyticsEngineMetricsSink, setMetricsSinks, formatLabels } from '../../src/middleware/metrics.js';
+
+describe('Metrics', () => {
+  let sink;
+
+  beforeEach(() => {
+    initConfig({ LOG_LEVEL: 'error' });
+    sink = new MemoryMetricsSink();
+    setMetricsSinks([sink]);
+  });
+
+  afterEach(() => {
+    setMetricsSinks(null);
+  });
+
+  it('should sum counters per label set', () => {
+    Metrics.increment('bots_dropped_total', { reason: 'user-agent' });
+    Metrics.increment('bots_dropped_total', { reason: 'user-agent' }, 2);
+    Metrics.increment('bots_dropped_total', { reason: 'asn' });
+
+    expect(Metrics.getCounters()).toEqual({
+      bots_dropped_total: { 'reason=user-agent': 3, 'reason=asn': 1 }
+    });
+  });
+
+  it('should keep cumulative latency buckets', () => {
+    Metrics.observe('upstream_latency_ms', 20, { upstream: 'google' });
+    Metrics.observe('upstream_latency_ms', 700, { upstream: 'google' });
+
+    const [histogram] = Metrics.getSnapshot().histograms;
+    expect(histogram).toMatchObject({ count: 2, sum: 720 });
+    expect(histogram.buckets[10]).toBe(0);
+    expect(histogram.buckets[25]).toBe(1);
+    expect(histogram.buckets[1000]).toBe(2);
+  });
+
+  it('should record requests by route and status', () => {
+    const request = new Request('https://shop.example.com/cdn/events', { method: 'POST' });
+    Metrics.record(request, new Response(null, { status: 429 }), 12);
+
+    const { counters, histograms } = Metrics.getSnapshot();
+    expect(counters[0]).toMatchObject({ name: 'requests_total', labels: { status: '429' }, value: 1 });
+    expect(histograms[0]).toMatchObject({ name: 'request_duration_ms', labels: { status: '4xx' }, count: 1 });
+  });
+
+  it('should keep writing to the other sinks when one fails', () => {
+    setMetricsSinks([{ write: () => { throw new Error('dataset unavailable'); } }, sink]);
+
+    Metrics.increment('events_total');
+
+    expect(Metrics.getCounters().events_total).toEqual({ total: 1 });
+  });
+
+  it('should write one Analytics Engine data point per metric point', () => {
+    const points = [];
+    const dataset = { writeDataPoint: (point) => points.push(point) };
+    setMetricsSinks([new AnalyticsEngineMetricsSink(dataset)]);
+
+    Metrics.increment('requests_total', { status: '200', route: 'scripts' });
+
+    expect(points).toEqual([{
+      indexes: ['requests_total'],
+      blobs: ['requests_total', 'counter', 'scripts', '200'],
+      doubles: [1]
+    }]);
+  });
+});
+
+describe('formatLabels', () => {
+  it('should sort labels by key', () => {
+    expect(formatLabels({ status: '200', route: 'scripts' })).toBe('route=scripts,status=200');
+    expect(formatLabels({})).toBe('total');
+  });
+});
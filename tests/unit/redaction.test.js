@@ -0,0 +1,76 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { initConfig } from '../../src/config/index.js';
+import { redactUrl, redactBody, isRedactableBody, DEFAULT_REDACTION_RULES } from '../../src/proxy/redaction.js';
+
+const env = {
+  REDACTION_ENABLED: 'true',
+  REDACTION_RULES: JSON.stringify(DEFAULT_REDACTION_RULES),
+  LOG_LEVEL: 'error'
+};
+
+describe('redactUrl', () => {
+  beforeEach(() => {
+    initConfig(env);
+  });
+
+  it('should mask emails in GA4 page and event params and drop IP overrides', () => {
+    const url = new URL(redactUrl(
+      'https://www.google-analytics.com/g/collect?v=2&dl=https%3A%2F%2Fshop.example.com%2F%3Femail%3Dbuyer%2540example.com&ep.login=buyer@example.com&uip=203.0.113.7&en=page_view'
+    ));
+
+    expect(url.searchParams.get('dl')).toBe('https://shop.example.com/?email=[redacted]');
+    expect(url.searchParams.get('ep.login')).toBe('[redacted]');
+    expect(url.searchParams.has('uip')).toBe(false);
+    expect(url.searchParams.get('en')).toBe('page_view');
+  });
+
+  it('should return the URL untouched when nothing matches', () => {
+    const url = 'https://www.google-analytics.com/g/collect?v=2&en=page_view&tid=G-TEST123';
+
+    expect(redactUrl(url)).toBe(url);
+  });
+
+  it('should apply REDACTION_RULES instead of the built-in rules', () => {
+    initConfig({ ...env, REDACTION_RULES: JSON.stringify([{ params: ['cd[*]'], action: 'drop' }]) });
+
+    const url = new URL(redactUrl('https://www.facebook.com/tr?id=1&cd[email]=x&uip=203.0.113.7'));
+
+    expect(url.searchParams.has('cd[email]')).toBe(false);
+    expect(url.searchParams.get('uip')).toBe('203.0.113.7');
+  });
+
+  it('should do nothing when REDACTION_ENABLED is false', () => {
+    initConfig({ ...env, REDACTION_ENABLED: 'false' });
+    const url = 'https://www.google-analytics.com/g/collect?ep.login=buyer@example.com';
+
+    expect(redactUrl(url)).toBe(url);
+  });
+});
+
+describe('redactBody', () => {
+  beforeEach(() => {
+    initConfig(env);
+  });
+
+  it('should redact every line of a GA4 batch body', () => {
+    const body = 'en=page_view&dl=https%3A%2F%2Fshop.example.com%2F\nen=login&ep.email=buyer%40example.com';
+
+    expect(redactBody(body).split('\n')).toEqual([
+      'en=page_view&dl=https%3A%2F%2Fshop.example.com%2F',
+      'en=login&ep.email=%5Bredacted%5D'
+    ]);
+  });
+
+  it('should only rewrite URL-encoded and text bodies', () => {
+    const post = (contentType) => new Request('https://shop.example.com/cdn/g/collect', {
+      method: 'POST',
+      headers: { 'Content-Type': contentType },
+      body: 'x'
+    });
+
+    expect(isRedactableBody(post('text/plain;charset=UTF-8'))).toBe(true);
+    expect(isRedactableBody(post('application/x-www-form-urlencoded'))).toBe(true);
+    expect(isRedactableBody(post('application/json'))).toBe(false);
+    expect(isRedactableBody(new Request('https://shop.example.com/cdn/g/collect'))).toBe(false);
+  });
+});
@@ -0,0 +1,189 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { initConfig } from '../../src/config/index.js';
+import { MemoryRetryQueue, setRetryQueue, enqueueFailedForward, computeNextAttemptAt } from '../../src/events/retry-queue.js';
+import { processRetryQueue } from '../../src/scheduled/retry-events.js';
+
+const env = {
+  GA4_API_SECRET: 'secret',
+  GA4_MEASUREMENT_ID: 'G-TEST123',
+  RETRY_QUEUE_BASE_DELAY_MS: '1000',
+  RETRY_QUEUE_MAX_ATTEMPTS: '3',
+  LOG_LEVEL: 'error'
+};
+
+const clientInfo = {
+  clientIP: '203.0.113.7',
+  userAgent: 'vitest',
+  referer: 'https://shop.example.com/',
+  country: 'BR',
+  cookies: { _fbp: 'fb.1.1.1', _shopify_y: 'visitor', cart: 'abc' }
+};
+
+/**
+ * @param {Object} [overrides]
+ * @returns {import('../../src/events/retry-queue.js').RetryJob}
+ */
+const createJob = (overrides = {}) => ({
+  id: crypto.randomUUID(),
+  destination: 'ga4',
+  eventData: { event_name: 'purchase', client_id: '1.1' },
+  clientInfo: { clientIP: '203.0.113.7', userAgent: 'vitest', referer: '', country: null, cookies: {} },
+  attempts: 1,
+  nextAttemptAt: 0,
+  lastError: 'HTTP 503',
+  createdAt: 0,
+  ...overrides
+});
+
+describe('RetryQueueStore', () => {
+  let queue;
+
+  beforeEach(() => {
+    initConfig(env);
+    queue = new MemoryRetryQueue();
+  });
+
+  it('should return due jobs oldest first', async () => {
+    await queue.enqueue(createJob({ id: 'late', nextAttemptAt: 300 }));
+    await queue.enqueue(createJob({ id: 'early', nextAttemptAt: 100 }));
+    await queue.enqueue(createJob({ id: 'future', nextAttemptAt: 10_000 }));
+
+    expect((await queue.due(1000, 10)).map(job => job.id)).toEqual(['early', 'late']);
+    expect((await queue.due(1000, 1)).map(job => job.id)).toEqual(['early']);
+  });
+
+  it('should move jobs to dead letters and replay them with a fresh budget', async () => {
+    const job = await queue.enqueue(createJob({ id: 'job-1', attempts: 3 }));
+    await queue.deadLetter(job);
+
+    expect(await queue.stats()).toEqual({ pending: 0, deadLetters: 1 });
+
+    const replayed = await queue.replayDeadLetter('job-1');
+    expect(replayed.attempts).toBe(0);
+    expect(replayed.deadLetteredAt).toBeUndefined();
+    expect(await queue.stats()).toEqual({ pending: 1, deadLetters: 0 });
+    expect(await queue.replayDeadLetter('missing')).toBeNull();
+  });
+
+  it('should purge expired dead letters and the oldest beyond maxCount', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] });
+    const now = Date.now();
+
+    for (const [id, age] of [['expired', 10_000], ['old', 3000], ['recent', 2000], ['newest', 1000]]) {
+      vi.setSystemTime(now - age);
+      await queue.deadLetter(createJob({ id }));
+    }
+    vi.useRealTimers();
+
+    expect(await queue.purgeDeadLetters(now, { maxAge: 5000, maxCount: 2 })).toBe(2);
+    expect((await queue.listDeadLetters(10)).map(job => job.id)).toEqual(['newest', 'recent']);
+  });
+
+  it('should back off exponentially up to RETRY_QUEUE_MAX_DELAY_MS', () => {
+    initConfig({ ...env, RETRY_QUEUE_MAX_DELAY_MS: '5000' });
+
+    expect(computeNextAttemptAt(1, 0)).toBe(1000);
+    expect(computeNextAttemptAt(3, 0)).toBe(4000);
+    expect(computeNextAttemptAt(10, 0)).toBe(5000);
+  });
+});
+
+describe('enqueueFailedForward', () => {
+  let queue;
+
+  beforeEach(() => {
+    initConfig(env);
+    queue = new MemoryRetryQueue();
+    setRetryQueue(queue);
+  });
+
+  afterEach(() => {
+    setRetryQueue(null);
+  });
+
+  it('should persist the event after the destination PII policy, with only the cookies it needs', async () => {
+    const job = await enqueueFailedForward('ga4', {
+      event_name: 'purchase',
+      client_id: '1.1',
+      customer_email: 'buyer@example.com',
+      customer_phone: '+55 11 99999-0000'
+    }, clientInfo, { attempts: 2, error: 'HTTP 503' });
+
+    const [stored] = await queue.due(Infinity, 10);
+    expect(stored.id).toBe(job.id);
+    expect(stored.eventData.customer_email).toBeUndefined();
+    expect(stored.eventData.customer_phone).toBeUndefined();
+    expect(stored.clientInfo.cookies).toEqual({ _fbp: 'fb.1.1.1' });
+    expect(stored.attempts).toBe(2);
+  });
+
+  it('should not queue events whose consent drops them', async () => {
+    initConfig({ ...env, CONSENT_MODE_ENABLED: 'true', META_PIXEL_ID: '123', META_ACCESS_TOKEN: 'token' });
+
+    const job = await enqueueFailedForward('meta', {
+      event_name: 'purchase',
+      client_id: '1.1',
+      consent: { ad_storage: 'denied', ad_user_data: 'denied' }
+    }, clientInfo, { attempts: 2, error: 'HTTP 503' });
+
+    expect(job).toBeNull();
+    expect(await queue.stats()).toEqual({ pending: 0, deadLetters: 0 });
+  });
+});
+
+describe('processRetryQueue', () => {
+  let queue;
+  let status;
+
+  beforeEach(() => {
+    initConfig(env);
+    queue = new MemoryRetryQueue();
+    setRetryQueue(queue);
+    status = 204;
+    vi.stubGlobal('fetch', vi.fn(async () => new Response(null, { status })));
+  });
+
+  afterEach(() => {
+    setRetryQueue(null);
+    vi.unstubAllGlobals();
+  });
+
+  it('should remove delivered jobs', async () => {
+    await queue.enqueue(createJob());
+
+    const summary = await processRetryQueue();
+
+    expect(summary).toMatchObject({ processed: 1, delivered: 1 });
+    expect(await queue.stats()).toEqual({ pending: 0, deadLetters: 0 });
+  });
+
+  it('should reschedule retryable failures and dead-letter after RETRY_QUEUE_MAX_ATTEMPTS', async () => {
+    status = 503;
+    await queue.enqueue(createJob({ id: 'retry', attempts: 1 }));
+    await queue.enqueue(createJob({ id: 'last', attempts: 2 }));
+
+    const summary = await processRetryQueue();
+
+    expect(summary).toMatchObject({ processed: 2, rescheduled: 1, deadLettered: 1 });
+    const [rescheduled] = await queue.due(Infinity, 10);
+    expect(rescheduled).toMatchObject({ id: 'retry', attempts: 2, lastError: 'HTTP 503' });
+    expect((await queue.listDeadLetters(10)).map(job => job.id)).toEqual(['last']);
+  });
+
+  it('should dead-letter non-retryable failures at once', async () => {
+    status = 400;
+    await queue.enqueue(createJob({ attempts: 1 }));
+
+    expect(await processRetryQueue()).toMatchObject({ deadLettered: 1 });
+  });
+
+  it('should purge expired dead letters before retrying', async () => {
+    initConfig({ ...env, RETRY_QUEUE_DEAD_LETTER_TTL: '60' });
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(Date.now() - 120_000);
+    await queue.deadLetter(createJob({ id: 'stale' }));
+    vi.useRealTimers();
+
+    expect(await processRetryQueue()).toMatchObject({ processed: 0, purged: 1 });
+  });
+});
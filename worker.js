@@ -10,32 +10,59 @@
 // - Receber e passar environment variables
 
 import { Router } from './src/routing/router.js';
-import { RateLimiter } from './src/core/rate-limiter.js';
+import { RateLimiter, initRateLimiter } from './src/core/rate-limiter.js';
 import { handleError } from './src/middleware/error-handler.js';
-import { Metrics } from './src/middleware/metrics.js';
+import { Metrics, initMetrics } from './src/middleware/metrics.js';
 import { errorResponse } from './src/utils/response.js';
 import { HTTP_STATUS } from './src/utils/constants.js';
 import { initConfig, CONFIG } from './src/config/index.js';
 import { addRateLimitHeaders } from './src/headers/rate-limit.js';
+import { initRetryQueue } from './src/events/retry-queue.js';
+import { initDedupStore } from './src/events/dedup.js';
+import { initContainerRegistry } from './src/cache/container-registry.js';
+import { createRequestContext, runWithRequestContext } from './src/core/request-context.js';
+import { Logger, initLogger } from './src/core/logger.js';
+import { getRouteClass } from './src/core/rate-limit-policies.js';
+
+// Durable Object classes must be exported from the entry module
+export { RetryQueueDurableObject } from './src/durable-objects/retry-queue.js';
+export { RateLimiterDurableObject } from './src/durable-objects/rate-limiter.js';
 
 // ============= MODERN ES MODULES EXPORT =============
 // Export default handler for ES modules format (recommended)
 export default {
-  async fetch(request, env) {
+  async fetch(request, env, ctx) {
     // Initialize config with environment variables
     initConfig(env);
-    return handleRequest(request);
+    initLogger();
+    initRetryQueue(env);
+    initDedupStore(env);
+    initRateLimiter(env);
+    initContainerRegistry(env);
+    initMetrics(env);
+    return handleRequest(request, ctx);
   },
 
   // Scheduled event handler (Cloudflare Cron Triggers)
-  // Runs every 12 hours to update script cache
+  // SCRIPT_UPDATE_CRON (every 12 hours) updates script cache,
+  // every trigger drains the event retry queue
   async scheduled(event, env, ctx) {
     try {
       initConfig(env);
-      const { updateScripts } = await import('./src/scheduled/update-scripts.js');
+      initLogger();
+      initRetryQueue(env);
+      initContainerRegistry(env);
+      initMetrics(env);
+
+      if (!event.cron || event.cron === CONFIG.SCRIPT_UPDATE_CRON) {
+        const { updateScripts } = await import('./src/scheduled/update-scripts.js');
 
-      // Execute script update in background
-      ctx.waitUntil(updateScripts());
+        // Execute script update in background
+        ctx.waitUntil(updateScripts().finally(() => Logger.flush()));
+      }
+
+      const { processRetryQueue } = await import('./src/scheduled/retry-events.js');
+      ctx.waitUntil(processRetryQueue().finally(() => Logger.flush()));
     } catch (error) {
       console.error('Scheduled event failed:', error);
     }
@@ -46,14 +73,39 @@ export default {
 // Fallback for legacy format (if not using ES modules)
 if (typeof addEventListener !== 'undefined') {
   addEventListener('fetch', event => {
-    event.respondWith(handleRequest(event.request));
+    event.respondWith(handleRequest(event.request, event));
   });
 }
 
 // ============= HANDLER PRINCIPAL =============
-async function handleRequest(request) {
-  const startTime = Date.now();
+// Trace ID (traceparent / X-Request-Id) e Logger da request disponíveis para handlers e chamadas upstream
+function handleRequest(request, ctx) {
+  const context = createRequestContext(request);
+  const logger = new Logger({
+    traceId: context.traceId,
+    requestId: context.requestId,
+    route: getRouteClass(request),
+    colo: request.cf?.colo ?? 'unknown'
+  });
+
+  return runWithRequestContext({ ...context, logger }, async () => {
+    const startTime = Date.now();
+
+    try {
+      const response = await processRequest(request, ctx);
+
+      // Métricas de toda resposta, inclusive 413, 429 e erros do handleError
+      Metrics.record(request, response, Date.now() - startTime);
 
+      return response;
+    } finally {
+      // Transportes HTTP enviam o buffer depois da resposta
+      ctx?.waitUntil?.(Logger.flush());
+    }
+  });
+}
+
+async function processRequest(request, ctx) {
   try {
     // Registrar request recebido
     Metrics.recordRequest(request);
@@ -66,9 +118,11 @@ async function handleRequest(request) {
 
     // Rate limiting
     const clientIP = request.headers.get('CF-Connecting-IP') ?? 'unknown';
-    const rateLimit = await RateLimiter.check(clientIP);
+    const rateLimit = await RateLimiter.check(clientIP, request);
 
     if (!rateLimit.allowed) {
+      Metrics.increment('rate_limit_rejections_total', { policy: rateLimit.policy?.name ?? 'default' });
+
       const retryAfter = Math.ceil((rateLimit.resetAt - Date.now()) / 1000);
       const headers = new Headers({
         'Retry-After': retryAfter.toString()
@@ -83,16 +137,8 @@ async function handleRequest(request) {
     }
 
     // Roteamento (passar rateLimit para evitar chamada duplicada no health check)
-    const response = await Router.route(request, rateLimit);
-
     // Rate limit headers são adicionados diretamente em buildResponse
-    // Não é necessário clonar a response
-
-    // Registrar métricas
-    const duration = Date.now() - startTime;
-    Metrics.record(request, response, duration);
-
-    return response;
+    return await Router.route(request, rateLimit, ctx);
 
   } catch (error) {
     // Error handling global